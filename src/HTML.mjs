@@ -3,31 +3,368 @@
 "use strict";
 
 import {Objects} from "./Objects.mjs";
+import {Signals} from "./Signals.mjs";
 
 export class HTML {
 
+    /**
+     * Binds the library to a document other than the global one, such as that of an iframe or popup window, or a document created by a DOM implementation outside the browser. Methods called on the HTML class itself use the global document (and window), except where an element passed in already belongs to another document.
+     * @param {Document} doc The document in which nodes are created. Window APIs such as getComputedStyle(), matchMedia() and customElements are taken from its defaultView.
+     * @returns {object} An object with the same static methods and properties as HTML, each of which uses the given document.
+     */
+    static WithDocument(doc) {
+
+        if (!HTML.#IsNode(doc) || doc.nodeType !== doc.DOCUMENT_NODE) {
+            throw new TypeError("WithDocument() requires a Document.");
+        }
+
+        const bound = {};
+
+        for (const name of Object.getOwnPropertyNames(HTML)) {
+
+            const descriptor = Object.getOwnPropertyDescriptor(HTML, name);
+
+            if (["length", "name", "prototype"].includes(name)) continue;
+
+            if (typeof descriptor.get === 'function') {
+                Object.defineProperty(bound, name, {enumerable: true, get: () => HTML.#Using(doc, () => HTML[name])});
+            } else if (typeof descriptor.value === 'function') {
+                bound[name] = (...args) => HTML.#Using(doc, () => HTML[name](...args));
+            }
+        }
+
+        return Object.freeze(bound);
+    }
+
+    // The document bound by WithDocument() for the duration of a call
+    static #BoundDocument = null;
+
+    static #Using(doc, fn) {
+
+        const previousDocument = HTML.#BoundDocument;
+
+        HTML.#BoundDocument = Objects.ValueWithDefault(doc, previousDocument);
+
+        try {
+            return fn();
+        } finally {
+            HTML.#BoundDocument = previousDocument;
+        }
+    }
+
+    static #Document(node = null) {
+
+        if (HTML.#IsNode(node)) {
+            return node.nodeType === node.DOCUMENT_NODE ? node : node.ownerDocument;
+        }
+
+        const doc = Objects.ValueWithDefault(HTML.#BoundDocument, globalThis.document);
+
+        if (doc == null) {
+            throw new Error("No document is available. Use HTML.WithDocument() to provide one.");
+        }
+
+        return doc;
+    }
+
+    static #Window(node = null) {
+        return Objects.ValueWithDefault(HTML.#Document(node).defaultView, globalThis);
+    }
+
+    static #MatchMedia(query, node = null) {
+
+        const win = HTML.#Window(node);
+
+        return typeof win.matchMedia === 'function' ? win.matchMedia(query) : null;
+    }
+
+    // Nodes are recognized by shape rather than instanceof, which fails for nodes from another window
+    static #IsNode(value) {
+        return Objects.isObject(value) && typeof value.nodeType === 'number' && typeof value.nodeName === 'string';
+    }
+
+    static #IsElement(value) {
+        return HTML.#IsNode(value) && value.nodeType === value.ELEMENT_NODE;
+    }
+
+    static #IsText(value) {
+        return HTML.#IsNode(value) && value.nodeType === value.TEXT_NODE;
+    }
+
+    static #IsShadowRoot(value) {
+        return HTML.#IsNode(value) && value.nodeType === value.DOCUMENT_FRAGMENT_NODE && "host" in value;
+    }
+
     /**
      * Pass-thru for document.createTextNode(). Creates a new Text node. This method can be used to escape HTML characters.
      * @param data A string containing the data to be put in the text node.
      * @returns {Text} A Text node.
      */
     static CreateTextNode(data) {
-        return document.createTextNode(data);
+        return HTML.#Document().createTextNode(data);
     }
 
     /**
-     * Gets the value of a CSS variable by name from the computed style of the page.
+     * Gets the value of a CSS variable by name from the computed style of the page, or of a specific element.
      * @param {string} variableName The name of the CSS variable to obtain. Must include the '--' prefix.
+     * @param {Element|ShadowRoot} scope The element (or shadow root, meaning its host) whose computed value is read. Defaults to the document element.
      * @returns {string}
      */
-    static GetCssVariable(variableName) {
-        return getComputedStyle(document.documentElement).getPropertyValue(variableName);
+    static GetCssVariable(variableName, scope = null) {
+        const element = HTML.#CssVariableElement(scope);
+
+        return HTML.#Window(element).getComputedStyle(element).getPropertyValue(variableName).trim();
+    }
+
+    /**
+     * Sets a CSS variable on an element or shadow root. Variables set on a shadow root apply to its :host.
+     * @param {string} variableName The name of the CSS variable. Must include the '--' prefix.
+     * @param {string} value The value to be set. A null value removes the variable.
+     * @param {Element|ShadowRoot} target The element or shadow root. Defaults to the document element.
+     */
+    static SetCssVariable(variableName, value, target = null) {
+        HTML.#SetCssVariables({[variableName]: value}, target);
+    }
+
+    /**
+     * Removes a CSS variable previously set on an element or shadow root.
+     * @param {string} variableName The name of the CSS variable. Must include the '--' prefix.
+     * @param {Element|ShadowRoot} target The element or shadow root. Defaults to the document element.
+     */
+    static RemoveCssVariable(variableName, target = null) {
+        HTML.#SetCssVariables({[variableName]: null}, target);
+    }
+
+    /**
+     * Flattens a nested theme object into CSS variables and sets them on an element or shadow root. Example: {color: {primary: "#00f"}} sets --color-primary. Variables set by a theme previously applied to the same target, and not present in this one, are removed.
+     * @param {object} themeObject The nested theme tokens.
+     * @param {Element|ShadowRoot} target The element or shadow root. Defaults to the document element.
+     * @returns {Object.<string, string>} The variables that were set.
+     */
+    static ApplyTheme(themeObject, target = null) {
+
+        const variables = HTML.#FlattenTheme(themeObject, "-");
+        const state = HTML.#ThemeState(target);
+
+        let changes = Objects.Merge(variables);
+
+        for (const variableName of state.variables) {
+            if (!(variableName in variables)) {
+                changes[variableName] = null;
+            }
+        }
+
+        state.variables = Object.keys(variables);
+
+        HTML.#SetCssVariables(changes, target);
+
+        return variables;
+    }
+
+    /**
+     * Registers a named theme for use with SetTheme(). Themes named "light" and "dark" are used when following the user's color scheme.
+     * @param {string} name The name of the theme.
+     * @param {object} themeObject The nested theme tokens (see ApplyTheme()).
+     */
+    static RegisterTheme(name, themeObject) {
+        HTML.#Themes[name] = themeObject;
+    }
+
+    /**
+     * Switches an element or shadow root to a registered theme.
+     * @param {string} name The name of a registered theme, or "auto" to apply the "light" or "dark" theme according to prefers-color-scheme, switching whenever the preference changes.
+     * @param {Element|ShadowRoot} target The element or shadow root. Defaults to the document element.
+     */
+    static SetTheme(name, target = null) {
+
+        // The listener below may run outside WithDocument(), so the default target is resolved now
+        target = HTML.#CssVariableTarget(target);
+
+        const state = HTML.#ThemeState(target);
+
+        if (state.stopFollowing != null) {
+            state.stopFollowing();
+            state.stopFollowing = null;
+        }
+
+        if (name !== "auto") {
+            HTML.#ApplyNamedTheme(name, target);
+            state.name = name;
+            return;
+        }
+
+        // Changes of preference apply the theme directly, as going through SetTheme() would stop following them
+        const query = HTML.#MatchMedia("(prefers-color-scheme: dark)", target);
+        const apply = () => HTML.#ApplyNamedTheme(query?.matches ? "dark" : "light", target);
+
+        apply();
+
+        query?.addEventListener("change", apply);
+        state.stopFollowing = () => query?.removeEventListener("change", apply);
+        state.name = "auto";
+    }
+
+    /**
+     * Gets the name of the theme last set on an element or shadow root with SetTheme().
+     * @param {Element|ShadowRoot} target The element or shadow root. Defaults to the document element.
+     * @returns {string|null}
+     */
+    static GetTheme(target = null) {
+        return HTML.#ThemeState(target).name;
+    }
+
+    /**
+     * Calls a function whenever the computed value of a CSS variable changes for an element. Changes are detected after style and class attribute changes, stylesheet additions, color-scheme changes and calls to the CSS variable functions of this class.
+     * @param {string} variableName The name of the CSS variable. Must include the '--' prefix.
+     * @param {function(string, string)} callback Receives the new value and the previous value.
+     * @param {Element|ShadowRoot} scope The element (or shadow root, meaning its host) whose computed value is watched. Defaults to the document element.
+     * @returns {function()} A function that ends the subscription.
+     */
+    static WatchCssVariable(variableName, callback, scope = null) {
+
+        // The element is resolved once, as checks run outside WithDocument()
+        const element = HTML.#CssVariableElement(scope);
+
+        let value = HTML.GetCssVariable(variableName, element);
+        let scheduled = false;
+
+        const check = () => {
+
+            if (scheduled) return;
+
+            scheduled = true;
+
+            queueMicrotask(() => {
+
+                scheduled = false;
+
+                const newValue = HTML.GetCssVariable(variableName, element);
+
+                if (newValue !== value) {
+
+                    const oldValue = value;
+
+                    value = newValue;
+                    callback(newValue, oldValue);
+                }
+            });
+        };
+
+        const observer = new (HTML.#Window(element).MutationObserver)(check);
+
+        observer.observe(element.ownerDocument.documentElement, {attributes: true, attributeFilter: ["style", "class"], childList: true, subtree: true});
+
+        const query = HTML.#MatchMedia("(prefers-color-scheme: dark)", element);
+
+        query?.addEventListener("change", check);
+        HTML.#CssVariableWatchers.add(check);
+
+        return () => {
+            observer.disconnect();
+            query?.removeEventListener("change", check);
+            HTML.#CssVariableWatchers.delete(check);
+        };
+    }
+
+    static #Themes = {};
+
+    static #ThemeStates = new WeakMap();
+
+    static #CssVariableSheets = new WeakMap();
+
+    static #CssVariableWatchers = new Set();
+
+    static #CssVariableElement(scope) {
+
+        if (scope == null) return HTML.#Document().documentElement;
+
+        if (HTML.#IsShadowRoot(scope)) return scope.host;
+
+        return scope;
+    }
+
+    static #CssVariableTarget(target) {
+        return target == null ? HTML.#Document().documentElement : target;
+    }
+
+    static #ApplyNamedTheme(name, target) {
+
+        if (!(name in HTML.#Themes)) {
+            throw new Error(`Theme "${name}" has not been registered.`);
+        }
+
+        HTML.ApplyTheme(HTML.#Themes[name], target);
+    }
+
+    static #ThemeState(target) {
+
+        target = HTML.#CssVariableTarget(target);
+
+        if (!HTML.#ThemeStates.has(target)) {
+            HTML.#ThemeStates.set(target, {name: null, variables: [], stopFollowing: null});
+        }
+
+        return HTML.#ThemeStates.get(target);
+    }
+
+    static #FlattenTheme(themeObject, prefix) {
+
+        let variables = {};
+
+        for (const key in themeObject) {
+
+            const name = `${prefix}-${key}`;
+
+            if (Objects.isObject(themeObject[key])) {
+                Object.assign(variables, HTML.#FlattenTheme(themeObject[key], name));
+            } else if (themeObject[key] != null) {
+                variables[name] = `${themeObject[key]}`;
+            }
+        }
+
+        return variables;
+    }
+
+    static #SetCssVariables(variables, target) {
+
+        target = HTML.#CssVariableTarget(target);
+
+        if (HTML.#IsShadowRoot(target)) {
+
+            // Shadow roots have no style of their own, so their variables are kept in a :host rule
+            let state = HTML.#CssVariableSheets.get(target);
+
+            if (state === undefined) {
+                state = {variables: {}, Remove: () => {}};
+                HTML.#CssVariableSheets.set(target, state);
+            }
+
+            for (const variableName in variables) {
+                if (variables[variableName] == null) {
+                    delete state.variables[variableName];
+                } else {
+                    state.variables[variableName] = `${variables[variableName]}`;
+                }
+            }
+
+            state.Remove();
+            state.Remove = HTML.#InstallStyleSheet(`:host { ${HTML.ObjectToStyleRule(state.variables)} }`, target).Remove;
+
+        } else {
+            for (const variableName in variables) {
+                HTML.#SetStyleProperty(target, variableName, variables[variableName]);
+            }
+        }
+
+        for (const check of HTML.#CssVariableWatchers) {
+            check();
+        }
     }
 
     /**
      * Sets the style of an element using the supplied style object. NOTE: Existing styles will be maintained if not overridden by the style object provided.
      * @param {HTMLElement} element The HTML element whose style will be modified.
-     * @param {Object.<string, string>} style The style properties to be merged into the element's style.
+     * @param {Object.<string, string>} style The style properties to be merged into the element's style. Keys may be CSS property names (`background-color`), camelCase names (`backgroundColor`) or custom properties (`--accent`). A null value removes the property.
      */
     static SetStyle(element, style) {
 
@@ -36,7 +373,14 @@ export class HTML {
 
         // Modify Style Attributes
         for (let propertyName in style) {
-            styleObject[propertyName] = style[propertyName];
+
+            const cssName = HTML.ToCssPropertyName(propertyName);
+
+            if (style[propertyName] == null) {
+                delete styleObject[cssName];
+            } else {
+                styleObject[cssName] = `${style[propertyName]}`;
+            }
         }
 
         // Load new styles into element
@@ -49,377 +393,4485 @@ export class HTML {
         element.setAttribute("style", newStyleEntries.join(";"));
     }
 
-    /**
-     * Creates an element from the specified HTML string. Note: the element is not added to the document.
-     * @param {string} htmlString
-     * @returns {Node[]}
-     */
-    static FromHtml(htmlString) {
+    /**
+     * Animates an element from one style to another using the Web Animations API. If the user prefers reduced motion (or the API is unavailable), the final style is applied at once instead.
+     * @param {Element} element The element to be animated. An animation already started on it by Animate() is cancelled.
+     * @param {Object.<string, string>} fromStyle The starting style, keyed as for SetStyle(). May be null to start from the current style.
+     * @param {Object.<string, string>} toStyle The final style.
+     * @param {object} options
+     * @param {number} options.duration The length of the animation in milliseconds.
+     * @param {string} options.easing A CSS easing function, such as "ease-out" or "cubic-bezier(0.2, 0, 0, 1)".
+     * @param {number} options.delay The time in milliseconds before the animation starts, during which the starting style is shown.
+     * @param {boolean} options.commit Set to false to let the element return to its own style when the animation ends, rather than keeping the final style (applied with SetStyle()).
+     * @returns {Promise<boolean>} Resolves to true when the animation finishes, or false if it is cancelled.
+     */
+    static Animate(element, fromStyle, toStyle, {duration = 200, easing = "ease", delay = 0, commit = true} = {}) {
+
+        HTML.#Animations.get(element)?.cancel();
+
+        const animation = HTML.#Play(element, fromStyle, toStyle, {duration: duration, easing: easing, delay: delay, fill: commit ? "both" : "backwards"});
+
+        const finish = () => {
+            if (commit && toStyle != null) {
+                HTML.SetStyle(element, toStyle);
+            }
+        };
+
+        if (animation == null) {
+            finish();
+            return Promise.resolve(true);
+        }
+
+        HTML.#Animations.set(element, animation);
+
+        return animation.finished
+            .then(() => {
+
+                // The final style is kept by the element itself, so the filling animation can be removed
+                finish();
+                animation.cancel();
+
+                return true;
+            }, () => false)
+            .finally(() => {
+                if (HTML.#Animations.get(element) === animation) {
+                    HTML.#Animations.delete(element);
+                }
+            });
+    }
+
+    /**
+     * Removes a node from the document, first playing the element's leave transition (see Create()) if it has one. Children removed by Patch() and by signals are removed (and disposed) this way.
+     * @param {Node} node The node to be removed.
+     * @param {object} options
+     * @param {boolean} options.dispose Set to true to call Dispose() on the element once it has been removed.
+     * @returns {Promise<void>} Resolves once the node has been removed. Without a leave transition, the node is removed immediately.
+     */
+    static Remove(node, {dispose = false} = {}) {
+
+        const remove = () => {
+
+            node.remove();
+
+            if (dispose && HTML.#IsElement(node)) {
+                HTML.Dispose(node);
+            }
+        };
+
+        // Removing an element that is already leaving waits for the same transition
+        if (HTML.#Removals.has(node)) {
+            return HTML.#Removals.get(node).then(() => dispose && HTML.#IsElement(node) ? HTML.Dispose(node) : undefined);
+        }
+
+        const leave = HTML.#LeaveTransitions.get(node);
+
+        let animation = null;
+
+        if (leave != null && node.isConnected) {
+            HTML.#Animations.get(node)?.cancel();
+            animation = HTML.#Play(node, leave.from, leave.to, {duration: leave.duration, easing: leave.easing, delay: leave.delay, fill: "both"});
+        }
+
+        if (animation == null) {
+            remove();
+            return Promise.resolve();
+        }
+
+        const removal = animation.finished
+            .catch(() => {})
+            .then(() => {
+                HTML.#Removals.delete(node);
+                remove();
+                animation.cancel();
+            });
+
+        HTML.#Removals.set(node, removal);
+
+        return removal;
+    }
+
+    /**
+     * Animates elements from their old positions to their new ones after a change to the document, such as reordering a list. Positions are measured before and after the change, and each element that moved is played back from its old position with a transform (the FLIP technique: First, Last, Invert, Play).
+     * @param {Element|Iterable.<Element>} elements A container whose children are tracked, or the elements themselves.
+     * @param {function(): (Promise|void)} change Makes the change. If it returns a promise, positions are measured again once it resolves.
+     * @param {object} options The duration (in milliseconds), easing and delay of the animations, as for Animate().
+     * @returns {Promise<void>} Resolves once every animation has finished.
+     */
+    static Flip(elements, change, {duration = 200, easing = "ease", delay = 0} = {}) {
+
+        const tracked = () => Array.from(HTML.#IsNode(elements) ? elements.children : elements);
+        const first = new Map(tracked().map((element) => [element, element.getBoundingClientRect()]));
+
+        return Promise.resolve(change()).then(() => Promise.all(tracked().map((element) => {
+
+            const before = first.get(element);
+
+            if (before === undefined || !element.isConnected || HTML.#Removals.has(element)) return null;
+
+            const after = element.getBoundingClientRect();
+            const dx = before.left - after.left;
+            const dy = before.top - after.top;
+
+            if (dx === 0 && dy === 0) return null;
+
+            return HTML.Animate(element, {transform: `translate(${dx}px, ${dy}px)`}, {transform: "none"}, {duration: duration, easing: easing, delay: delay, commit: false});
+
+        }))).then(() => undefined);
+    }
+
+    static #Animations = new WeakMap();
+
+    static #LeaveTransitions = new WeakMap();
+
+    // Elements playing their leave transition, which Patch() treats as already gone
+    static #Removals = new WeakMap();
+
+    // Returns null when no animation should be played
+    static #Play(element, fromStyle, toStyle, {duration = 200, easing = "ease", delay = 0, fill = "none"} = {}) {
+
+        if (typeof element.animate !== 'function' || HTML.#MatchMedia("(prefers-reduced-motion: reduce)", element)?.matches) {
+            return null;
+        }
+
+        const keyframes = [fromStyle, toStyle].filter((style) => style != null).map((style) => HTML.#ToKeyframe(style));
+
+        return element.animate(keyframes, {duration: duration, easing: easing, delay: delay, fill: fill});
+    }
+
+    // Keyframes use the camelCase names of CSS properties, such as backgroundColor and cssFloat
+    static #ToKeyframe(style) {
+
+        let keyframe = {};
+
+        for (const [cssName, value] of Object.entries(HTML.#NormalizeStyle(style))) {
+
+            const propertyName = cssName.startsWith("--") ? cssName
+                : cssName === "float" ? "cssFloat"
+                : cssName === "offset" ? "cssOffset"
+                : cssName.replace(/^-/, "").replace(/-([a-z])/g, (match, c) => c.toUpperCase());
+
+            keyframe[propertyName] = `${value}`.replace(/\s*!\s*important$/i, "");
+        }
+
+        return keyframe;
+    }
+
+    /**
+     * Creates nodes from the specified HTML string. The string is parsed inside a <template>, so scripts are not run and resources are not loaded while parsing. Note: the nodes are not added to the document.
+     * @param {string} htmlString
+     * @param {object} options
+     * @param {boolean|object} options.sanitize Set to true to sanitize using DefaultSanitizePolicy, or provide a policy object whose keys override the defaults: tags (allowed tag names), dropTags (tags removed along with their content), attributes (allowed attribute names, either an array or an object of tag name to array with "*" applying to all tags; a trailing "*" matches a prefix such as "data-*"), urlAttributes (attributes holding URLs) and schemes (allowed URL schemes). Disallowed tags are unwrapped, keeping their content. Event-handler attributes and comments are always removed.
+     * @param {boolean} options.fragment Set to true to return a DocumentFragment rather than an array of nodes.
+     * @returns {Node[]|DocumentFragment} Every top-level node, including text nodes, in document order.
+     */
+    static FromHtml(htmlString, {sanitize = false, fragment = false} = {}) {
+
+        let template = HTML.#Document().createElement("template");
+
+        template.innerHTML = htmlString.trim();
+
+        let content = template.content;
+
+        if (sanitize) {
+
+            let policy = HTML.DefaultSanitizePolicy;
+
+            if (Objects.isObject(sanitize)) {
+                policy = Objects.Merge(policy, sanitize);
+            }
+
+            HTML.#SanitizeChildren(content, policy);
+        }
+
+        if (fragment) {
+            return content;
+        }
+
+        return Array.from(content.childNodes);
+    }
+
+    /**
+     * Gets a copy of the policy used by FromHtml() when sanitize is true. See FromHtml() for a description of each key.
+     * @returns {{tags: string[], dropTags: string[], attributes: Object.<string, string[]>, urlAttributes: string[], schemes: string[]}}
+     */
+    static get DefaultSanitizePolicy() {
+        return {
+            tags: [
+                "a", "abbr", "article", "aside", "b", "blockquote", "br", "caption", "cite", "code", "col", "colgroup",
+                "dd", "del", "details", "dfn", "div", "dl", "dt", "em", "figcaption", "figure", "footer", "h1", "h2",
+                "h3", "h4", "h5", "h6", "header", "hr", "i", "img", "ins", "kbd", "li", "main", "mark", "nav", "ol", "p",
+                "pre", "q", "s", "samp", "section", "small", "span", "strong", "sub", "summary", "sup", "table", "tbody",
+                "td", "tfoot", "th", "thead", "time", "tr", "u", "ul", "var", "wbr",
+            ],
+            dropTags: ["script", "style", "template", "iframe", "frame", "frameset", "object", "embed", "noscript", "base", "link", "meta"],
+            attributes: {
+                "*": ["class", "id", "title", "lang", "dir", "role", "aria-*", "data-*"],
+                a: ["href", "target", "rel"],
+                img: ["src", "alt", "width", "height"],
+                blockquote: ["cite"],
+                q: ["cite"],
+                del: ["cite", "datetime"],
+                ins: ["cite", "datetime"],
+                time: ["datetime"],
+                ol: ["start", "reversed", "type"],
+                td: ["colspan", "rowspan", "headers"],
+                th: ["colspan", "rowspan", "headers", "scope", "abbr"],
+                col: ["span"],
+                colgroup: ["span"],
+                details: ["open"],
+            },
+            urlAttributes: ["href", "src", "cite", "action", "formaction", "poster", "background", "xlink:href"],
+            schemes: ["http", "https", "mailto", "tel"],
+        };
+    }
+
+    static #SanitizeChildren(parentNode, policy) {
+
+        for (const node of Array.from(parentNode.childNodes)) {
+
+            if (node.nodeType === node.COMMENT_NODE || node.nodeType === node.PROCESSING_INSTRUCTION_NODE) {
+                node.remove();
+                continue;
+            }
+
+            if (node.nodeType !== node.ELEMENT_NODE) continue;
+
+            const tag = node.localName;
+
+            if (policy.dropTags.includes(tag)) {
+                node.remove();
+                continue;
+            }
+
+            HTML.#SanitizeChildren(node, policy);
+
+            if (!policy.tags.includes(tag)) {
+                node.replaceWith(...node.childNodes);
+                continue;
+            }
+
+            for (const attribName of node.getAttributeNames()) {
+                if (!HTML.#IsAttributeAllowed(tag, attribName, node.getAttribute(attribName), policy)) {
+                    node.removeAttribute(attribName);
+                }
+            }
+        }
+    }
+
+    static #IsAttributeAllowed(tag, attribName, value, policy) {
+
+        attribName = attribName.toLowerCase();
+
+        if (attribName.startsWith("on")) return false;
+
+        let allowed = policy.attributes;
+
+        if (!Array.isArray(allowed)) {
+            allowed = [...Objects.ValueWithDefault(allowed["*"], []), ...Objects.ValueWithDefault(allowed[tag], [])];
+        }
+
+        const isListed = allowed.some((name) => name.endsWith("*") ? attribName.startsWith(name.slice(0, -1)) : attribName === name);
+
+        if (!isListed) return false;
+
+        if (policy.urlAttributes.includes(attribName)) {
+
+            // Browsers ignore whitespace and control characters within a scheme, so they must be ignored here too
+            const scheme = /^([a-z][a-z0-9+.\-]*):/i.exec(value.replace(/[\u0000-\u0020]/g, ""));
+
+            if (scheme != null && !policy.schemes.includes(scheme[1].toLowerCase())) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * A tagged template literal that creates nodes from markup, for example html`<li class="${type}" @click=${select}>${label}</li>`. The static markup is parsed once per call site and cached as a template element; interpolated values are never parsed as HTML. In text positions, strings and numbers become text nodes, Nodes (including fragments) and arrays are inserted as they are, and descriptors are created as by Create(). In attribute values, each attribute is set individually: null or false omits the attribute, true sets it to an empty string, a Signal is bound (see Create()), and a style object is converted with ObjectToStyleRule(). An attribute name beginning with "@" adds the value as an event listener, given as a handler or an events entry as accepted by Create(). An object in place of an attribute sets each of its keys the same way. Values may be interpolated within nested template elements, but not into tag names, comments, the content of script, style, textarea and title elements, or positions the parser drops; these throw a TypeError.
+     * @param {string[]} strings The static parts of the template.
+     * @param {...*} values The interpolated values.
+     * @returns {Node[]} Every top-level node, including text nodes, in document order.
+     */
+    static html(strings, ...values) {
+
+        let compiled = HTML.#CompiledHtml.get(strings);
+
+        if (compiled === undefined) {
+            compiled = HTML.#CompileHtml(strings);
+            HTML.#CompiledHtml.set(strings, compiled);
+        }
+
+        const fragment = HTML.#Document().importNode(compiled.template.content, true);
+
+        // Every target is found before any slot is filled, since filling slots changes the tree
+        const targets = compiled.parts.map((part) => part.path.reduce((node, index) => index === "content" ? node.content : node.childNodes[index], fragment));
+
+        compiled.parts.forEach((part, i) => {
+
+            const target = targets[i];
+
+            if (part.type === "child") {
+                target.replaceWith(...HTML.#HtmlChildNodes(values[part.index], HTML.#ChildNamespaceOf(target.parentNode)));
+            } else if (part.type === "spread") {
+                for (const attribName in Objects.ValueWithDefault(values[part.index], {})) {
+                    HTML.#SetHtmlAttribute(target, attribName, values[part.index][attribName]);
+                }
+            } else if (part.indices.length === 1 && part.strings.every((str) => str === "")) {
+                HTML.#SetHtmlAttribute(target, part.name, values[part.indices[0]]);
+            } else {
+                HTML.#WriteAttribute(target, part.name, part.strings
+                    .map((str, k) => k === 0 ? str : `${Objects.ValueWithDefault(values[part.indices[k - 1]], "")}${str}`)
+                    .join(""));
+            }
+        });
+
+        return Array.from(fragment.childNodes);
+    }
+
+    static #CompiledHtml = new WeakMap();
+
+    // Marks the slots in a template's markup. Random, so that static markup cannot imitate it.
+    static #SlotMarker = `html-slot-${Math.random().toString(36).substring(2, 9)}`;
+
+    static #RawTextElements = ["script", "style", "textarea", "title"];
+
+    static #CompileHtml(strings) {
+
+        const marker = HTML.#SlotMarker;
+
+        let markup = "";
+        let slotNames = [];
+
+        // The context of the markup read so far: text, tagName, tag (between attributes), quoted (in an attribute value), comment or raw
+        let state = "text";
+        let quote = null;
+        let tagName = "";
+        let isClosingTag = false;
+
+        for (let i = 0; i < strings.length; i++) {
+
+            let str = strings[i];
+
+            if (i === 0) str = str.trimStart();
+            if (i === strings.length - 1) str = str.trimEnd();
+
+            for (let j = 0; j < str.length; j++) {
+
+                const c = str[j];
+
+                if (state === "text") {
+                    if (str.startsWith("<!--", j)) {
+                        state = "comment";
+                        j += 3;
+                    } else if (c === "<" && /[a-zA-Z\/]/.test(Objects.ValueWithDefault(str[j + 1], ""))) {
+                        state = "tagName";
+                        isClosingTag = str[j + 1] === "/";
+                        tagName = "";
+                        j += isClosingTag ? 1 : 0;
+                    }
+                } else if (state === "tagName" && /[\s\/>]/.test(c)) {
+                    state = "tag";
+                    j--;
+                } else if (state === "tagName") {
+                    tagName += c.toLowerCase();
+                } else if (state === "tag" && (c === '"' || c === "'")) {
+                    state = "quoted";
+                    quote = c;
+                } else if (state === "tag" && c === ">") {
+                    state = !isClosingTag && HTML.#RawTextElements.includes(tagName) ? "raw" : "text";
+                } else if (state === "quoted" && c === quote) {
+                    state = "tag";
+                } else if (state === "comment" && str.startsWith("-->", j)) {
+                    state = "text";
+                    j += 2;
+                } else if (state === "raw" && str.slice(j, j + tagName.length + 2).toLowerCase() === `</${tagName}`) {
+                    state = "text";
+                    j--;
+                }
+            }
+
+            markup += str;
+
+            if (i === strings.length - 1) break;
+
+            const slot = `${marker}-${i}`;
+
+            // A value straight after "<" would be a tag name
+            if (state === "text" && /<\/?$/.test(markup)) {
+                state = "tagName";
+            }
+
+            if (state === "text") {
+                markup += `<!--${slot}-->`;
+            } else if (state === "quoted") {
+                slotNames[i] = markup.match(/([^\s"'<>\/=]+)\s*=\s*["'][^"']*$/)?.[1];
+                markup += slot;
+            } else if (state === "tag" && /=\s*$/.test(markup)) {
+                slotNames[i] = markup.match(/([^\s"'<>\/=]+)\s*=\s*$/)?.[1];
+                markup += `"${slot}"`;
+            } else if (state === "tag") {
+                markup += ` ${slot} `;
+            } else {
+                throw new TypeError(`html: a value cannot be interpolated ${state === "tagName" ? "into a tag name" : state === "comment" ? "into a comment" : `into the content of <${tagName}>`}.`);
+            }
+        }
+
+        const template = HTML.#Document().createElement("template");
+
+        template.innerHTML = markup;
+
+        // Slots are recorded as paths of child indexes, which stay valid in every clone
+        let parts = [];
+
+        const slotIndex = (text) => Number(text.slice(marker.length + 1));
+
+        const findParts = (node, path) => {
+
+            Array.from(node.childNodes).forEach((child, k) => {
+
+                const childPath = [...path, k];
+
+                if (child.nodeType === child.COMMENT_NODE && child.data.startsWith(marker)) {
+                    parts.push({type: "child", index: slotIndex(child.data), path: childPath});
+                    return;
+                }
+
+                if (child.nodeType !== child.ELEMENT_NODE) return;
+
+                for (const attribute of Array.from(child.attributes)) {
+
+                    if (attribute.name.startsWith(marker)) {
+
+                        parts.push({type: "spread", index: slotIndex(attribute.name), path: childPath});
+                        child.removeAttribute(attribute.name);
+
+                    } else if (attribute.value.includes(marker)) {
+
+                        // Static text and slot indexes alternate
+                        const pieces = attribute.value.split(new RegExp(`${marker}-(\\d+)`));
+                        const indices = pieces.filter((piece, p) => p % 2 === 1).map(Number);
+
+                        parts.push({
+                            type: "attribute",
+                            name: Objects.ValueWithDefault(slotNames[indices[0]], attribute.name),
+                            strings: pieces.filter((piece, p) => p % 2 === 0),
+                            indices: indices,
+                            path: childPath,
+                        });
+
+                        child.removeAttribute(attribute.name);
+                    }
+                }
+
+                findParts(child, childPath);
+
+                // The children of a nested template are kept in its content fragment
+                if (child.localName === "template" && HTML.#IsNode(child.content)) {
+                    findParts(child.content, [...childPath, "content"]);
+                }
+            });
+        };
+
+        findParts(template.content, []);
+
+        // A slot the parser dropped (such as a repeated attribute, or one in an end tag) would otherwise be silently lost
+        const consumed = new Set(parts.flatMap((part) => part.type === "attribute" ? part.indices : [part.index]));
+
+        for (let i = 0; i < strings.length - 1; i++) {
+            if (!consumed.has(i)) {
+                throw new TypeError(`html: the value at index ${i} is not in a position where it can be interpolated.`);
+            }
+        }
+
+        return {template: template, parts: parts};
+    }
+
+    static #HtmlChildNodes(value, namespace) {
+
+        if (value == null || value === false) return [];
+
+        if (Array.isArray(value)) {
+            return value.flatMap((item) => HTML.#HtmlChildNodes(item, namespace));
+        }
+
+        if (HTML.#IsNode(value)) {
+            return value.nodeType === value.DOCUMENT_FRAGMENT_NODE ? Array.from(value.childNodes) : [value];
+        }
+
+        // Signals are read once, as there is no element to bind them to
+        value = Signals.Unwrap(value);
+
+        return [Objects.isObject(value) ? HTML.#CreateFromDescriptor(value, namespace) : HTML.CreateTextNode(`${value}`)];
+    }
+
+    static #SetHtmlAttribute(element, attribName, value) {
+
+        if (attribName.startsWith("@")) {
+            HTML.#AddEventListener(element, attribName.slice(1), value);
+            return;
+        }
+
+        if (value == null || value === false) return;
+
+        if (attribName.toLowerCase() === "style" && Objects.isObject(value) && !Signals.IsSignal(value)) {
+            value = HTML.ObjectToStyleRule(value);
+        }
+
+        HTML.#SetAttribute(element, attribName, value === true ? "" : value);
+    }
+
+    static #ObjectToElement(obj, subs, parentElement = null) {
+
+        const PreProcessedKeys = {
+            style: "style",
+            attributes: "attributes",
+            onMount: "onMount",
+            onUnmount: "onUnmount",
+            enter: "enter",
+            leave: "leave",
+            aria: "aria",
+            ref: "ref",
+        };
+
+        function subst(value) {
+
+            if (typeof value === 'string') {
+                if (value in subs) {
+                    return subs[value];
+                }
+            } else if (HTML.#IsNode(value) || Signals.IsSignal(value)) {
+                return value;
+            } else if (typeof value === 'object') {
+                for (const key in value) {
+
+                    const substituted = subst(value[key]);
+
+                    // Only attempt here. Attributes/properties may be read-only
+                    try {
+                        value[key] = substituted;
+                    } catch {}
+                }
+            }
+
+            return value;
+        }
+
+        // HTMLCollections cannot be created, so a host element is required for manipulation
+        if (parentElement == null) {
+            parentElement = HTML.#Document().createElement("div");
+        }
+
+        // Ensure substitution dictionary is available
+        if (subs == null) {
+            subs = {};
+        }
+
+        // Exit early
+        if (HTML.#IsNode(obj)) {
+            parentElement.append(obj);
+            return parentElement;
+        }
+
+        if (obj == null) {
+            return parentElement;
+        }
+
+        if (Signals.IsSignal(obj)) {
+            HTML.#AppendContent(parentElement, obj);
+            return parentElement;
+        }
+
+        if (!Objects.isObject(obj)) {
+
+            const value = subst(obj);
+
+            if (Objects.isObject(value)) {
+                return HTML.#ObjectToElement(value, subs, parentElement);
+            }
+
+            parentElement.append(HTML.CreateTextNode(`${value}`));
+            return parentElement;
+        }
+
+        if (Array.isArray(obj)) {
+            for (let i = 0; i < obj.length; i++) {
+                HTML.#ObjectToElement(obj[i], subs, parentElement);
+            }
+
+            return parentElement;
+        }
+
+        // Merge Style and Attributes When Both Are specified
+        let attributes = {};
+        let style = {};
+
+        if (PreProcessedKeys.attributes in obj) {
+            attributes = subst(obj[PreProcessedKeys.attributes]);
+        }
+
+        if (PreProcessedKeys.style in obj) {
+            style = subst(obj[PreProcessedKeys.style]);
+        }
+
+        if (PreProcessedKeys.style in attributes) {
+
+            const inlineStyle = HTML.StyleRuleToObject(HTML.ObjectToStyleRule(attributes[PreProcessedKeys.style]));
+
+            style = Object.assign(inlineStyle, HTML.#NormalizeStyle(style));
+
+            attributes = Objects.Merge(attributes);
+            delete attributes[PreProcessedKeys.style];
+        }
+
+        // Process Pre-processed Keys
+        for (let attribName in attributes) {
+            HTML.#SetAttribute(parentElement, attribName, attributes[attribName]);
+        }
+
+        if (Object.keys(style).length > 0) {
+            HTML.#ApplyStyle(parentElement, style);
+        }
+
+        HTML.#SetAria(parentElement, subst(obj[PreProcessedKeys.aria]), subst(obj[PreProcessedKeys.ref]));
+
+        HTML.#SetLifecycleHooks(parentElement, subst(obj[PreProcessedKeys.onMount]), subst(obj[PreProcessedKeys.onUnmount]), subst(obj[PreProcessedKeys.enter]));
+        HTML.#SetLeaveTransition(parentElement, subst(obj[PreProcessedKeys.leave]));
+
+        // Process Other Keys
+        for (const key in obj) {
+
+            if (Object.keys(PreProcessedKeys).includes(key)) continue;
+
+            let value = subst(obj[key]);
+
+            if (key === "children" && Signals.IsSignal(value)) {
+
+                HTML.#AppendContent(parentElement, value);
+
+            } else if (key === "children") {
+
+                for (let i = 0; i < value.length; i++) {
+                    HTML.#ObjectToElement(value[i], subs, parentElement);
+                }
+
+            } else if (key === "properties") {
+
+                for (let propName in value) {
+                    HTML.#SetProperty(parentElement, propName, value[propName]);
+                }
+
+            } else if (key === "events") {
+
+                for (let eventName in value) {
+                    HTML.#AddEventListener(parentElement, eventName, value[eventName]);
+                }
+
+            } else if (key === "inlineModifier") {
+
+                value(parentElement);
+
+            } else if (key === "text") {
+
+                    HTML.#AppendContent(parentElement, value);
+
+            } else {
+                const namespace = HTML.#ElementNamespace(key, null, HTML.#ChildNamespaceOf(parentElement));
+
+                parentElement.append(HTML.#ObjectToElement(value, subs, HTML.#CreateElement(key, namespace, HTML.#Document(parentElement))));
+            }
+        }
+
+        return parentElement;
+    }
+
+    /**
+     * Converts a JavaScript object into an array of HTMLElements.
+     * @param {object} obj Object containing specific keys or other objects that will be used to generate HTML elements.
+     * @param {object} options
+     * @param {boolean} options.strict Set to true to validate every descriptor first (see Validate()), throwing a TypeError listing every error found, rather than skipping objects without a tag.
+     * @param {boolean} options.safe Set to true to also warn about properties that parse HTML, such as innerHTML.
+     * @param {function(string)} options.onWarning Called with each warning found when validating. Without it, warnings are ignored (Validate() returns them).
+     * @return HTMLElement[]
+     */
+    static FromObject(obj, {strict = false, safe = false, onWarning = null} = {}) {
+
+        if (strict) {
+            HTML.#AssertValid(obj, safe, onWarning);
+        }
+
+        return HTML.#WithRefScope(() => HTML.#FromDescriptors(obj, null));
+    }
+
+    static #FromDescriptors(obj, parentNamespace) {
+
+        // This function expects arrays only.
+        if (!Array.isArray(obj)) {
+            obj = [obj];
+        }
+
+        let elementList = [];
+
+        for (let i = 0; i < obj.length; i++) {
+
+            let childObj = obj[i];
+
+            if (Objects.isObject(childObj)) {
+
+                if ("tag" in childObj) {
+
+                    const namespace = HTML.#ElementNamespace(childObj.tag, childObj.namespace, parentNamespace);
+                    const childNamespace = HTML.#ChildNamespace(namespace, childObj.tag);
+
+                    // Substitute children for actual HTMLElements. Signals, strings and nodes are kept for Create() to append.
+                    if ("children" in childObj && Array.isArray(childObj.children) && !HTML.#IsNode(childObj.children[0])) {
+                        childObj.children = childObj.children.flatMap((child) =>
+                            Signals.IsSignal(child) || !Objects.isObject(child) || HTML.#IsNode(child) ? [child] : HTML.#FromDescriptors(child, childNamespace)
+                        );
+                    }
+
+                    elementList.push(HTML.Create(Objects.Merge(childObj, {namespace: Objects.ValueWithDefault(namespace, HTML.#Namespaces.html)})));
+                }
+            }
+        }
+
+        return elementList;
+    }
+
+    /**
+     * Generates nodes from a template, substituting values from a data object. Compiled templates are cached, so repeated calls with the same template object are cheap.
+     * @param {object|Array.<object>} template An object whose keys are tag names or the keys attributes, style, properties, children, events, inlineModifier, onMount, onUnmount and text. Strings may contain {{path.to.value}} placeholders; a string consisting only of a placeholder is replaced by the raw value if it is a function, Node or signal (so that, for example, event handlers can be passed in data), while an object or array throws a TypeError unless options.allowDescriptors is set. Conditional blocks take the form {if: "path", then: template, else: template}, and repetition takes the form {each: "path", as: "item", template: template}, with {{@index}} available inside.
+     * @param {object} data The data used to resolve placeholders.
+     * @param {Object.<string, any>} subs Optional substitution dictionary. Strings exactly matching a key are replaced by its value.
+     * @param {object} options
+     * @param {boolean} options.allowDescriptors Set to true to let a lone placeholder substitute an object or array from the data, which is then treated as a descriptor (or as attributes, style or events, depending on where it appears). Only use this with trusted data, as it allows the data to create any element or attribute, including event handler attributes.
+     * @returns {Node[]}
+     */
+    static FromTemplate(template, data, subs = null, {allowDescriptors = false} = {}) {
+
+        const cache = allowDescriptors ? HTML.#CompiledTrustedTemplates : HTML.#CompiledTemplates;
+
+        let compiled = cache.get(template);
+
+        if (compiled === undefined) {
+            compiled = HTML.CompileTemplate(template, {allowDescriptors: allowDescriptors});
+            cache.set(template, compiled);
+        }
+
+        return compiled(data, subs);
+    }
+
+    /**
+     * Compiles a template (see FromTemplate()) into a function which can be rendered many times. Placeholders are parsed once, at compile time.
+     * @param {object|Array.<object>} template The template to compile.
+     * @param {object} options
+     * @param {boolean} options.allowDescriptors Set to true to let a lone placeholder substitute an object or array from trusted data (see FromTemplate()).
+     * @returns {function(object, Object.<string, any>=): Node[]} A function accepting data and an optional substitution dictionary, returning the generated nodes.
+     */
+    static CompileTemplate(template, {allowDescriptors = false} = {}) {
+
+        const render = HTML.#CompileTemplateNode(template, {allowDescriptors: allowDescriptors});
+
+        return (data, subs = null) => {
+
+            const host = HTML.#WithRefScope(() => HTML.#ObjectToElement(render(Objects.ValueWithDefault(data, {})), subs));
+
+            return Array.from(host.childNodes);
+        };
+    }
+
+    static #CompiledTemplates = new WeakMap();
+
+    static #CompiledTrustedTemplates = new WeakMap();
+
+    static #TemplatePlaceholderPattern = /\{\{\s*(.+?)\s*}}/g;
+
+    static #CompileTemplateNode(template, options) {
+
+        if (typeof template === 'string') {
+            return HTML.#CompileTemplateString(template, options);
+        }
+
+        // Nodes are cloned so each render has its own copy
+        if (HTML.#IsNode(template)) {
+            return () => template.cloneNode(true);
+        }
+
+        if (!Objects.isObject(template) || Signals.IsSignal(template)) {
+            return () => template;
+        }
+
+        if (Array.isArray(template)) {
+
+            const items = template.map((item) => HTML.#CompileTemplateNode(item, options));
+
+            return (scope) => items.map((item) => item(scope)).flat();
+        }
+
+        if ("if" in template) {
+
+            const condition = HTML.#CompileTemplatePath(template.if);
+            const whenTrue = HTML.#CompileTemplateNode(Objects.ValueWithDefault(template.then, null), options);
+            const whenFalse = HTML.#CompileTemplateNode(Objects.ValueWithDefault(template.else, null), options);
+
+            return (scope) => {
+
+                const value = condition(scope);
+
+                // Empty arrays are treated as false so lists can be guarded
+                return (Array.isArray(value) ? value.length > 0 : value) ? whenTrue(scope) : whenFalse(scope);
+            };
+        }
+
+        if ("each" in template) {
+
+            const items = HTML.#CompileTemplatePath(template.each);
+            const alias = Objects.ValueWithDefault(template.as, "item");
+            const itemTemplate = HTML.#CompileTemplateNode(Objects.ValueWithDefault(template.template, null), options);
+
+            return (scope) => {
+
+                const list = Objects.ValueWithDefault(items(scope), []);
+
+                return Array.from(list).flatMap((item, index) => itemTemplate(
+                    Object.assign(Object.create(scope), {[alias]: item, "@index": index})
+                ));
+            };
+        }
+
+        const entries = Object.entries(template).map(([key, value]) => [key, HTML.#CompileTemplateNode(value, options)]);
+
+        return (scope) => Object.fromEntries(entries.map(([key, value]) => [key, value(scope)]));
+    }
+
+    static #CompileTemplateString(text, {allowDescriptors}) {
+
+        const matches = Array.from(text.matchAll(HTML.#TemplatePlaceholderPattern));
+
+        if (matches.length < 1) {
+            return () => text;
+        }
+
+        // A lone placeholder yields the raw value, so functions, elements and signals can be substituted. Objects from data would be read as descriptors, so they need the caller's consent.
+        if (matches.length === 1 && matches[0][0] === text) {
+
+            const value = HTML.#CompileTemplatePath(matches[0][1]);
+
+            return (scope) => {
+
+                const result = value(scope);
+
+                if (!allowDescriptors && Objects.isObject(result) && !HTML.#IsNode(result) && !Signals.IsSignal(result)) {
+                    throw new TypeError(`The template value ${text} is an object or array. Set allowDescriptors to substitute it from trusted data.`);
+                }
+
+                return result;
+            };
+        }
+
+        let parts = [];
+        let lastIndex = 0;
+
+        for (const match of matches) {
+            parts.push(text.substring(lastIndex, match.index));
+            parts.push(HTML.#CompileTemplatePath(match[1]));
+            lastIndex = match.index + match[0].length;
+        }
+
+        parts.push(text.substring(lastIndex));
+
+        return (scope) => parts.map((part) => {
+
+            if (typeof part === 'string') return part;
+
+            return Objects.ValueWithDefault(part(scope), "");
+
+        }).join("");
+    }
+
+    static #CompileTemplatePath(path) {
+
+        // Paths may optionally be written as placeholders
+        path = `${path}`.trim().replace(/^\{\{\s*(.+?)\s*}}$/, "$1");
+
+        const segments = path.split(/[.\[\]]+/).filter((segment) => segment.length > 0);
+
+        return (scope) => Objects.Get(scope, segments);
+    }
+
+    /**
+     * Creates an HTML element for the specified tag. Note: the element is not added to the document.
+     * @param {object} descriptor An object describing the element, with the following keys.
+     * @param {string} descriptor.tag The HTML element type (tag) to be created.
+     * @param {string} descriptor.namespace The namespace of the element: "svg", "math", "html" or a namespace URI. Defaults to SVG for an svg tag and MathML for a math tag; descendants given as descriptors inherit the namespace (except inside an SVG foreignObject, where HTML resumes).
+     * @param {Object.<string, object>} descriptor.attributes An object whose keys will be used to set attributes of the element, such as HREF or SRC. Note that a Style attribute can be passed in as an object, but all other attributes will be handled as strings. Attributes prefixed with xlink:, xml: or xmlns: are set in their namespace.
+     * @param {Object.<string, any>} descriptor.style An object whose keys will be used to set style declarations of the element. This parameter can be included in the attributes object, and if style declarations are specified here and also in the attributes parameter, the style declarations will be merged, with the `style` parameter's declarations taking priority.
+     * @param {Object.<string, object>} descriptor.properties An object whose keys will be used to set properties of the element, such as innerHTML or innerText.
+     * @param {Array.<HTMLElement>|Signal} descriptor.children An array of HTMLElements which will be registered as child elements for the new element. Descriptors (objects with a `tag`) and strings are also accepted, and are converted to elements and text nodes.
+     * @param {HTMLElementEventMap} descriptor.events An object whose keys will be used to create event listeners for the new element. Each value is either a handler function or an object of the form {handler, once, passive, capture, selector}. With a selector, the listener is delegated: the handler runs only for events whose target is within a matching descendant, with `this` and the second argument set to the matching element. Listeners are removed by Dispose().
+     * @param {string|Signal} descriptor.text Text to be appended to the element ahead of any children.
+     * @param {function(HTMLElement)} descriptor.inlineModifier A callback allowing custom in-line modification of the element. One example use is to grab a reference to the specific element rather than having to create the element externally and pass it in.
+     * @param {function(HTMLElement): (function()|void)} descriptor.onMount Called (shortly after, in a microtask) when the element is added to the document, when its layout can be measured. If it returns a function, that function is called when the element is removed.
+     * @param {function(HTMLElement)} descriptor.onUnmount Called when the element is removed from the document. Both hooks run each time the element enters or leaves the document, but not when it is merely moved.
+     * @param {{from: object, to: object, duration: number, easing: string, delay: number}} descriptor.enter A transition played with Animate() each time the element is added to the document, from one style to another.
+     * @param {{from: object, to: object, duration: number, easing: string, delay: number}} descriptor.leave A transition played before the element is removed by Remove(), Patch() or a signal. The starting style may be omitted.
+     * @param {Object.<string, any>} descriptor.aria ARIA states and properties, such as {label, expanded, controls}, each set as the matching aria-* attribute (false is written as "false", and arrays are joined with spaces). The ID references (controls, labelledBy, describedBy, owns, activeDescendant, details, errorMessage and flowTo) may name the `ref` of another descriptor created in the same call, whose element is given an ID (using Objects.GetUniqueId()) if it has none; other names are used as IDs.
+     * @param {string} descriptor.ref A name by which `aria` ID references elsewhere in the same descriptor tree refer to this element.
+     * @param {string|number} descriptor.key An optional identity used by Patch() to match this element when reordering lists of children.
+     * @param {object} options
+     * @param {boolean} options.strict Set to true to validate the descriptor first (see Validate()), throwing a TypeError listing every error found.
+     * @param {boolean} options.safe Set to true to also warn about properties that parse HTML, such as innerHTML.
+     * @param {function(string)} options.onWarning Called with each warning found when validating. Without it, warnings are ignored (Validate() returns them).
+     * @description Attribute values, style values, properties, text and children may each be a Signal (see Signals.mjs), in which case the element is updated whenever the signal changes. Call Dispose() once the element is discarded to release these bindings.
+     * @returns {HTMLElement}
+     */
+    static Create(descriptor, {strict = false, safe = false, onWarning = null} = {}) {
+
+        if (strict) {
+            HTML.#AssertValid(descriptor, safe, onWarning);
+        }
+
+        // References between descriptors are resolved once the outermost one is complete, so an element may refer to one created after it
+        if (HTML.#RefScope == null) {
+            return HTML.#WithRefScope(() => HTML.Create(descriptor));
+        }
+
+        let {tag, namespace = null, attributes = null, style = null, properties = null, children = null, events = null, inlineModifier = null, key = null, text = null, onMount = null, onUnmount = null, enter = null, leave = null, aria = null, ref = null} = descriptor;
+
+        const styleKey = "style";
+
+        // Provide Default Parameters
+        if (attributes === undefined || attributes == null) {
+            attributes = {};
+        }
+
+        if (!(style === undefined || style == null)) {
+
+            // If present in attributes as well, merge Style object into Attributes Style object
+            if (styleKey in attributes) {
+
+                attributes[styleKey] = HTML.StyleRuleToObject(HTML.ObjectToStyleRule(attributes[styleKey]));
+
+                Object.assign(attributes[styleKey], HTML.#NormalizeStyle(style));
+            } else {
+                attributes[styleKey] = style;
+            }
+        }
+
+        if (properties === undefined || properties == null) {
+            properties = {};
+        }
+
+        if (children === undefined || children == null) {
+            children = [];
+        }
+
+        if (Signals.IsSignal(children)) {
+            children = [children];
+        }
+
+        if (events === undefined || events == null) {
+            // noinspection JSValidateTypes
+            events = {};
+        }
+
+        // Generate element and set configuration
+        let element = HTML.#CreateElement(tag, HTML.#ElementNamespace(tag, namespace, null));
+
+        for (let attribName in attributes) {
+
+            if (attribName.toLowerCase() === styleKey && HTML.#IsReactiveStyle(attributes[attribName])) {
+                HTML.#ApplyStyle(element, attributes[attribName]);
+            } else if (attribName.toLowerCase() === styleKey) {
+                element.setAttribute(attribName, HTML.ObjectToStyleRule(attributes[attribName]));
+            } else {
+                HTML.#SetAttribute(element, attribName, attributes[attribName]);
+            }
+        }
+
+        HTML.#SetAria(element, aria, ref);
+
+        for (let propName in properties) {
+            HTML.#SetProperty(element, propName, properties[propName]);
+        }
+
+        if (text !== undefined && text !== null) {
+            HTML.#AppendContent(element, text);
+        }
+
+        for (let childIndex = 0; childIndex < children.length; childIndex++) {
+            if (children[childIndex] != null) {
+                HTML.#AppendContent(element, children[childIndex]);
+            }
+        }
+
+        let listeners = {};
+
+        for (let eventName in events) {
+            listeners[eventName] = HTML.#AddEventListener(element, eventName, events[eventName]);
+        }
+
+        // Retain what Patch() needs to diff against later
+        HTML.#DescriptorState.set(element, {key: key, events: listeners, properties: Object.keys(properties)});
+
+        if (inlineModifier !== undefined && inlineModifier !== null) {
+            inlineModifier(element);
+        }
+
+        HTML.#SetLifecycleHooks(element, onMount, onUnmount, enter);
+        HTML.#SetLeaveTransition(element, leave);
+
+        return element;
+    }
+
+    /**
+     * Checks a descriptor (or array of descriptors) for problems that would otherwise fail silently or deep inside the DOM, reporting each with the JSON path where it was found.
+     * @param {object|Array.<object>} descriptor The descriptor to be checked, as accepted by Create() or FromObject().
+     * @param {object} options
+     * @param {boolean} options.safe Set to true to also warn about properties that parse HTML, such as innerHTML.
+     * @returns {{valid: boolean, errors: string[], warnings: string[]}} The problems found. Each message begins with its path, for example "children[2].events.click is not a function".
+     */
+    static Validate(descriptor, {safe = false} = {}) {
+
+        let errors = [];
+        let warnings = [];
+
+        const format = (path) => path.length > 0 ? path : "descriptor";
+
+        const validateDescriptor = (value, path) => {
+
+            if (!Objects.isObject(value) || Array.isArray(value) || HTML.#IsNode(value) || Signals.IsSignal(value)) {
+                errors.push(`${format(path)} is not a descriptor object`);
+                return;
+            }
+
+            const at = (key) => path.length > 0 ? `${path}.${key}` : key;
+
+            for (const key in value) {
+                if (!HTML.#DescriptorKeys.includes(key)) {
+                    errors.push(`${at(key)} is not a recognized descriptor key`);
+                }
+            }
+
+            if (!("tag" in value)) {
+                errors.push(`${at("tag")} is missing`);
+            } else if (typeof value.tag !== 'string' || !HTML.#TagNamePattern.test(value.tag)) {
+                errors.push(`${at("tag")} is not a valid tag name: ${JSON.stringify(value.tag)}`);
+            }
+
+            if (value.namespace != null && typeof value.namespace !== 'string') {
+                errors.push(`${at("namespace")} is not a string`);
+            }
+
+            if (value.attributes != null) {
+                if (!Objects.isObject(value.attributes) || Signals.IsSignal(value.attributes)) {
+                    errors.push(`${at("attributes")} is not an object`);
+                } else {
+                    for (const attribName in value.attributes) {
+
+                        const attribPath = `${at("attributes")}.${attribName}`;
+                        const attribValue = value.attributes[attribName];
+
+                        if (!HTML.#AttributeNamePattern.test(attribName)) {
+                            errors.push(`${attribPath} is not a valid attribute name`);
+                        } else if (attribName.toLowerCase() === "style") {
+                            validateStyle(attribValue, attribPath);
+                        } else if (typeof attribValue === 'number' || typeof attribValue === 'boolean') {
+                            warnings.push(`${attribPath} is a ${typeof attribValue} and will be converted to a string`);
+                        } else if (typeof attribValue !== 'string' && !Signals.IsSignal(attribValue)) {
+                            errors.push(`${attribPath} is not a string`);
+                        }
+                    }
+                }
+            }
+
+            if (value.style != null) {
+                validateStyle(value.style, at("style"));
+            }
+
+            if (value.properties != null) {
+                if (!Objects.isObject(value.properties)) {
+                    errors.push(`${at("properties")} is not an object`);
+                } else if (safe) {
+                    for (const propName in value.properties) {
+                        if (HTML.#UnsafeProperties.includes(propName)) {
+                            warnings.push(`${at("properties")}.${propName} parses HTML and may allow script injection`);
+                        }
+                    }
+                }
+            }
+
+            if (value.events != null) {
+                if (!Objects.isObject(value.events)) {
+                    errors.push(`${at("events")} is not an object`);
+                } else {
+                    for (const eventName in value.events) {
+
+                        const entry = value.events[eventName];
+                        const handler = Objects.isObject(entry) ? entry.handler : entry;
+                        const eventPath = `${at("events")}.${eventName}${Objects.isObject(entry) ? ".handler" : ""}`;
+
+                        if (typeof handler !== 'function') {
+                            errors.push(`${eventPath} is not a function`);
+                        }
+
+                        if (Objects.isObject(entry) && entry.selector != null && typeof entry.selector !== 'string') {
+                            errors.push(`${at("events")}.${eventName}.selector is not a string`);
+                        }
+                    }
+                }
+            }
+
+            for (const hook of ["inlineModifier", "onMount", "onUnmount"]) {
+                if (value[hook] != null && typeof value[hook] !== 'function') {
+                    errors.push(`${at(hook)} is not a function`);
+                }
+            }
+
+            for (const transition of ["enter", "leave"]) {
+                if (value[transition] != null && (!Objects.isObject(value[transition]) || !Objects.isObject(value[transition].to))) {
+                    errors.push(`${at(transition)} is not a transition of the form {from, to, duration, easing, delay}`);
+                }
+            }
+
+            if (value.aria != null) {
+                if (!Objects.isObject(value.aria) || Signals.IsSignal(value.aria)) {
+                    errors.push(`${at("aria")} is not an object`);
+                } else {
+                    for (const name in value.aria) {
+                        if (!HTML.#AriaProperties.has(name.replace(/^aria-?/i, "").toLowerCase())) {
+                            warnings.push(`${at("aria")}.${name} is not a known ARIA attribute`);
+                        }
+                    }
+                }
+            }
+
+            if (value.ref != null && typeof value.ref !== 'string') {
+                errors.push(`${at("ref")} is not a string`);
+            }
+
+            if (value.key != null && typeof value.key !== 'string' && typeof value.key !== 'number') {
+                errors.push(`${at("key")} is not a string or number`);
+            }
+
+            if (value.text != null && Objects.isObject(value.text) && !Signals.IsSignal(value.text)) {
+                errors.push(`${at("text")} is not a string`);
+            }
+
+            if (value.children != null && !Signals.IsSignal(value.children)) {
+                if (!Array.isArray(value.children)) {
+                    errors.push(`${at("children")} is not an array`);
+                } else {
+                    value.children.forEach((child, index) => validateChild(child, `${at("children")}[${index}]`));
+                }
+            }
+        };
+
+        const validateChild = (child, path) => {
+            if (Objects.isObject(child) && !HTML.#IsNode(child) && !Signals.IsSignal(child)) {
+                validateDescriptor(child, path);
+            } else if (typeof child === 'function' || typeof child === 'symbol') {
+                errors.push(`${path} is not a descriptor, node or string`);
+            }
+        };
+
+        const validateStyle = (style, path) => {
+
+            if (typeof style === 'string' || Signals.IsSignal(style)) return;
+
+            if (!Objects.isObject(style)) {
+                errors.push(`${path} is not an object or string`);
+                return;
+            }
+
+            for (const propertyName in style) {
+
+                const styleValue = style[propertyName];
+
+                if (styleValue != null && typeof styleValue !== 'string' && typeof styleValue !== 'number' && !Signals.IsSignal(styleValue)) {
+                    errors.push(`${path}.${propertyName} is not a string or number`);
+                }
+            }
+        };
+
+        if (Array.isArray(descriptor)) {
+            descriptor.forEach((item, index) => validateDescriptor(item, `[${index}]`));
+        } else {
+            validateDescriptor(descriptor, "");
+        }
+
+        return {valid: errors.length < 1, errors: errors, warnings: warnings};
+    }
+
+    static #DescriptorKeys = ["tag", "namespace", "attributes", "style", "properties", "children", "events", "inlineModifier", "onMount", "onUnmount", "enter", "leave", "aria", "ref", "key", "text"];
+
+    static #TagNamePattern = /^[a-zA-Z][a-zA-Z0-9._-]*$/;
+
+    static #UnsafeProperties = ["innerHTML", "outerHTML", "srcdoc"];
+
+    static #AssertValid(descriptor, safe, onWarning) {
+
+        const result = HTML.Validate(descriptor, {safe: safe});
+
+        if (onWarning != null) {
+            result.warnings.forEach((warning) => onWarning(warning));
+        }
+
+        if (!result.valid) {
+            throw new TypeError(`Invalid descriptor:\n${result.errors.join("\n")}`, {cause: result.errors});
+        }
+    }
+
+    /**
+     * Converts an element into a descriptor that Create() accepts: the inverse of Create(). Text nodes become strings in `children`, and the style attribute is parsed into `style`. A `namespace` is included only where Create() could not infer it from the tag and its ancestors. Comments are omitted. Event listeners and properties cannot be read back, so they are not included.
+     * @param {Element} element The element to be converted.
+     * @param {object} options
+     * @param {boolean} options.dropWhitespace Set to true to omit text nodes consisting only of whitespace.
+     * @param {string[]} options.excludeAttributes Attribute names to omit. A trailing "*" matches a prefix, such as "data-*".
+     * @param {number} options.maxDepth The number of levels of descendants to include. Children beyond this depth are omitted.
+     * @returns {{tag: string, namespace: string, attributes: Object.<string, string>, style: Object.<string, string>, children: Array.<(object|string)>}}
+     */
+    static ToObject(element, {dropWhitespace = false, excludeAttributes = [], maxDepth = Infinity} = {}) {
+
+        const isExcluded = (attribName) => excludeAttributes.some((name) =>
+            name.endsWith("*") ? attribName.startsWith(name.slice(0, -1)) : attribName === name
+        );
+
+        const convert = (el, depth, parentNamespace) => {
+
+            const namespace = el.namespaceURI === HTML.#Namespaces.html ? null : el.namespaceURI;
+
+            let descriptor = {tag: el.localName};
+
+            if (namespace !== HTML.#ElementNamespace(el.localName, null, parentNamespace)) {
+                descriptor.namespace = Objects.ValueWithDefault(namespace, HTML.#Namespaces.html);
+            }
+            let attributes = {};
+            let style = null;
+
+            for (const attribName of el.getAttributeNames()) {
+
+                if (isExcluded(attribName)) continue;
+
+                if (attribName === "style") {
+                    style = HTML.StyleRuleToObject(el.getAttribute(attribName));
+                } else {
+                    attributes[attribName] = el.getAttribute(attribName);
+                }
+            }
+
+            if (Object.keys(attributes).length > 0) {
+                descriptor.attributes = attributes;
+            }
+
+            if (style != null) {
+                descriptor.style = style;
+            }
+
+            if (depth >= maxDepth) return descriptor;
+
+            let children = [];
+
+            // Template contents are held in a fragment rather than as children
+            const childNodes = el.localName === "template" && HTML.#IsNode(el.content) ? el.content.childNodes : el.childNodes;
+
+            for (const node of childNodes) {
+                if (node.nodeType === node.TEXT_NODE || node.nodeType === node.CDATA_SECTION_NODE) {
+                    if (!dropWhitespace || node.data.trim().length > 0) {
+                        children.push(node.data);
+                    }
+                } else if (node.nodeType === node.ELEMENT_NODE) {
+                    children.push(convert(node, depth + 1, HTML.#ChildNamespace(namespace, el.localName)));
+                }
+            }
+
+            if (children.length > 0) {
+                descriptor.children = children;
+            }
+
+            return descriptor;
+        };
+
+        return convert(element, 0, null);
+    }
+
+    /**
+     * Updates an existing element to match a Create()-style descriptor, applying only the attribute, style, property, event and child changes required. Focus, scroll position and input state of retained elements are preserved. If the tag differs, the element is replaced (and the old element disposed).
+     * @param {HTMLElement} element The element to be updated, typically one previously produced by Create(), FromObject() or Patch().
+     * @param {object} descriptor An object of the form {tag, attributes, style, properties, children, events, text, key, aria, ref}. Children may be descriptors, strings or Nodes; descriptors with a `key` are matched to existing children by key rather than position.
+     * @description Signals are bound as Create() binds them; a binding is kept while the descriptor holds the same signal, and released when it is replaced or dropped. Properties dropped from the descriptor return to the value of a new element. The inlineModifier, if any, is called once the element has been patched. Lifecycle hooks are replaced by those of the descriptor; dropping them all runs the cleanup returned by onMount, if the element is mounted.
+     * @returns {HTMLElement} The patched element, or its replacement if the tag changed.
+     */
+    static Patch(element, descriptor) {
+
+        if (HTML.#RefScope == null) {
+            return HTML.#WithRefScope(() => HTML.Patch(element, descriptor));
+        }
+
+        if (!HTML.#MatchesTag(element, descriptor.tag)) {
+
+            const replacement = HTML.#Using(element.ownerDocument, () => HTML.#CreateFromDescriptor(descriptor, HTML.#ChildNamespaceOf(element.parentNode)));
+
+            element.replaceWith(replacement);
+            HTML.Dispose(element);
+
+            return replacement;
+        }
+
+        const state = Objects.ValueWithDefault(HTML.#DescriptorState.get(element), {key: null, events: {}, properties: []});
+        const properties = Objects.ValueWithDefault(descriptor.properties, {});
+        const events = Objects.ValueWithDefault(descriptor.events, {});
+
+        // Attributes
+        let attributes = Objects.Merge(descriptor.attributes);
+        let style = null;
+
+        for (const attribName in attributes) {
+            if (attribName.toLowerCase() === "style") {
+                style = attributes[attribName];
+                delete attributes[attribName];
+            }
+        }
+
+        // A whole-style signal is bound as it is, but style objects may also hold signals for single properties
+        const toStyleObject = (value) => Objects.isObject(value) ? HTML.#NormalizeStyle(value) : HTML.StyleRuleToObject(`${value}`);
+
+        if (Objects.IsDefined(descriptor.style)) {
+            style = Objects.Merge(style == null || Signals.IsSignal(style) ? {} : toStyleObject(style), toStyleObject(descriptor.style));
+        } else if (style != null && !Signals.IsSignal(style)) {
+            style = toStyleObject(style);
+        }
+
+        const aria = HTML.#AriaAttributes(descriptor.aria);
+
+        for (const attribName in aria.attributes) {
+            if (aria.attributes[attribName] != null) {
+                attributes[attribName] = aria.attributes[attribName];
+            }
+        }
+
+        // Attributes reflected by a property are owned by that property. ID references, and the ID of a ref, are written once resolved.
+        const reflected = Object.keys(properties).map((propName) => HTML.#PropertyAttributeNames[propName] ?? propName.toLowerCase());
+        const resolved = [...Object.keys(aria.references), ...(descriptor.ref != null ? ["id"] : [])];
+
+        HTML.#UnbindOthers(element, "attribute", [...Object.keys(attributes), ...(Signals.IsSignal(style) ? ["style"] : [])]);
+
+        for (const attribName of element.getAttributeNames()) {
+            if (attribName !== "style" && !(attribName in attributes) && !reflected.includes(attribName) && !resolved.includes(attribName)) {
+                element.removeAttribute(attribName);
+            }
+        }
+
+        // Signals are bound as Create() binds them, and left alone while the descriptor holds the same signal
+        for (const attribName in attributes) {
+
+            const value = attributes[attribName];
+
+            if (Signals.IsSignal(value)) {
+
+                if (!HTML.#IsBound(element, "attribute", attribName, value)) {
+                    HTML.#SetAttribute(element, attribName, value);
+                }
+
+            } else {
+
+                HTML.#Unbind(element, "attribute", attribName);
+
+                if (element.getAttribute(attribName) !== `${value}`) {
+                    HTML.#WriteAttribute(element, attribName, `${value}`);
+                }
+            }
+        }
+
+        // Style
+        HTML.#UnbindOthers(element, "style", style == null || Signals.IsSignal(style) ? [] : Object.keys(style));
+
+        if (Signals.IsSignal(style)) {
+
+            if (!HTML.#IsBound(element, "attribute", "style", style)) {
+                HTML.#ApplyStyle(element, style);
+            }
+
+        } else if (style == null) {
+            element.removeAttribute("style");
+        } else {
+
+            const currentStyle = HTML.StyleRuleToObject(Objects.ValueWithDefault(element.getAttribute("style"), ""));
+
+            for (const propertyName in currentStyle) {
+                if (!(propertyName in style)) {
+                    element.style.removeProperty(propertyName);
+                }
+            }
+
+            for (const propertyName in style) {
+
+                const value = style[propertyName];
+
+                if (Signals.IsSignal(value)) {
+                    if (!HTML.#IsBound(element, "style", propertyName, value)) {
+                        HTML.#BindStyleProperty(element, propertyName, value);
+                    }
+                } else if (currentStyle[propertyName] !== `${value}`) {
+                    HTML.#SetStyleProperty(element, propertyName, value);
+                }
+            }
+        }
+
+        // Properties dropped from the descriptor return to the value of a new element
+        let pristine = null;
+
+        for (const propName of state.properties) {
+
+            if (propName in properties) continue;
+
+            HTML.#Unbind(element, "property", propName);
+
+            pristine ??= element.ownerDocument.createElementNS(element.namespaceURI, element.localName);
+
+            if (propName in pristine) {
+                element[propName] = pristine[propName];
+            } else {
+                delete element[propName];
+            }
+        }
+
+        for (const propName in properties) {
+
+            const value = properties[propName];
+
+            if (Signals.IsSignal(value)) {
+                if (!HTML.#IsBound(element, "property", propName, value)) {
+                    HTML.#SetProperty(element, propName, value);
+                }
+            } else {
+
+                HTML.#Unbind(element, "property", propName);
+
+                if (element[propName] !== value) {
+                    element[propName] = value;
+                }
+            }
+        }
+
+        // Events
+        let listeners = {};
+
+        for (const eventName in state.events) {
+
+            const attached = state.events[eventName];
+
+            if (HTML.#IsSameEventEntry(attached.entry, events[eventName])) {
+                listeners[eventName] = attached;
+            } else {
+                element.removeEventListener(eventName, attached.listener, {capture: attached.capture});
+            }
+        }
+
+        for (const eventName in events) {
+            if (!(eventName in listeners)) {
+                listeners[eventName] = HTML.#AddEventListener(element, eventName, events[eventName]);
+            }
+        }
+
+        HTML.#DescriptorState.set(element, {key: Objects.ValueWithDefault(descriptor.key, null), events: listeners, properties: Object.keys(properties)});
+        HTML.#SetLifecycleHooks(element, descriptor.onMount, descriptor.onUnmount, descriptor.enter);
+        HTML.#SetLeaveTransition(element, descriptor.leave);
+        HTML.#AddReferences(element, descriptor.ref, aria.references);
+
+        // Children
+        HTML.#PatchChildren(element, HTML.#DescriptorChildren(descriptor));
+
+        if (Objects.IsDefined(descriptor.inlineModifier)) {
+            descriptor.inlineModifier(element);
+        }
+
+        return element;
+    }
+
+    static #DescriptorState = new WeakMap();
+
+    static #Namespaces = {
+        html: "http://www.w3.org/1999/xhtml",
+        svg: "http://www.w3.org/2000/svg",
+        math: "http://www.w3.org/1998/Math/MathML",
+        xlink: "http://www.w3.org/1999/xlink",
+        xml: "http://www.w3.org/XML/1998/namespace",
+        xmlns: "http://www.w3.org/2000/xmlns/",
+    };
+
+    // Resolves the namespace URI of a new element, where null means HTML
+    static #ElementNamespace(tag, namespace, parentNamespace) {
+
+        if (namespace != null) {
+
+            namespace = Objects.ValueWithDefault(HTML.#Namespaces[namespace], namespace);
+
+            return namespace === HTML.#Namespaces.html ? null : namespace;
+        }
+
+        if (tag === "svg") return HTML.#Namespaces.svg;
+
+        if (tag === "math") return HTML.#Namespaces.math;
+
+        return parentNamespace;
+    }
+
+    // The namespace inherited by an element's children. SVG switches back to HTML inside foreignObject.
+    static #ChildNamespace(namespace, tag) {
+        return namespace === HTML.#Namespaces.svg && tag === "foreignObject" ? null : namespace;
+    }
+
+    static #ChildNamespaceOf(parentNode) {
+
+        if (!HTML.#IsElement(parentNode)) return null;
+
+        return HTML.#ChildNamespace(parentNode.namespaceURI === HTML.#Namespaces.html ? null : parentNode.namespaceURI, parentNode.localName);
+    }
+
+    static #CreateElement(tag, namespace, doc = HTML.#Document()) {
+        return namespace == null ? doc.createElement(tag) : doc.createElementNS(namespace, tag);
+    }
+
+    // HTML tag names are case-insensitive, but those of other namespaces (such as SVG's linearGradient) are not
+    static #MatchesTag(element, tag) {
+        return element.localName === (element.namespaceURI === HTML.#Namespaces.html ? `${tag}`.toLowerCase() : `${tag}`);
+    }
+
+    static #WriteAttribute(element, attribName, value) {
+
+        const prefix = attribName.split(":")[0];
+
+        if (["xlink", "xml", "xmlns"].includes(prefix)) {
+            element.setAttributeNS(HTML.#Namespaces[prefix], attribName, value);
+        } else {
+            element.setAttribute(attribName, value);
+        }
+    }
+
+    static #DescriptorChildren(descriptor) {
+
+        let children = [];
+
+        if (Objects.IsDefined(descriptor.text)) {
+            children.push(Signals.IsSignal(descriptor.text) ? descriptor.text : `${descriptor.text}`);
+        }
+
+        if (Objects.IsDefined(descriptor.children)) {
+            children.push(...[descriptor.children].flat(Infinity).filter((child) => child != null && child !== false));
+        }
+
+        return children;
+    }
+
+    static #CreateFromDescriptor(descriptor, parentNamespace = null) {
+
+        if (HTML.#IsNode(descriptor) || Signals.IsSignal(descriptor)) return descriptor;
+
+        if (!Objects.isObject(descriptor)) return HTML.CreateTextNode(`${descriptor}`);
+
+        // Children are created before their parent, so the namespace they inherit is resolved here
+        const namespace = HTML.#ElementNamespace(descriptor.tag, descriptor.namespace, parentNamespace);
+        const childNamespace = HTML.#ChildNamespace(namespace, descriptor.tag);
+
+        // Create() modifies attributes and expects Nodes as children, so neither is passed through directly
+        return HTML.Create(Objects.Merge(descriptor, {
+            namespace: Objects.ValueWithDefault(namespace, HTML.#Namespaces.html),
+            attributes: Objects.Merge(descriptor.attributes),
+            children: HTML.#DescriptorChildren(descriptor).map((child) => HTML.#CreateFromDescriptor(child, childNamespace)),
+            text: null,
+        }));
+    }
+
+    static #PatchChildren(element, children) {
+
+        let keyedNodes = new Map();
+        let unkeyedNodes = [];
+        let anchors = [];
+
+        // The content of signal regions belongs to their signal, and is only moved along with its anchor
+        const regionNodes = new Set(Array.from(element.childNodes).flatMap((node) => HTML.#Regions.get(node)?.nodes ?? []));
+
+        for (const node of element.childNodes) {
+
+            if (HTML.#Removals.has(node) || regionNodes.has(node)) continue;
+
+            if (HTML.#Regions.has(node)) {
+                anchors.push(node);
+                continue;
+            }
+
+            const key = HTML.#DescriptorState.get(node)?.key;
+
+            if (key != null) {
+                keyedNodes.set(key, node);
+            } else {
+                unkeyedNodes.push(node);
+            }
+        }
+
+        // Match each child to an existing node: keyed children by key, the rest by position
+        let unkeyedIndex = 0;
+        let newNodes = [];
+
+        for (const child of children) {
+
+            if (HTML.#IsNode(child)) {
+                newNodes.push(child);
+                continue;
+            }
+
+            if (Signals.IsSignal(child)) {
+
+                const index = anchors.findIndex((anchor) => HTML.#Regions.get(anchor).signal === child);
+                const anchor = index >= 0 ? anchors.splice(index, 1)[0] : HTML.#Using(element.ownerDocument, () => HTML.#CreateRegion(element, child));
+
+                newNodes.push(...HTML.#Regions.get(anchor).nodes, anchor);
+                continue;
+            }
+
+            if (!Objects.isObject(child)) {
+
+                const existing = unkeyedNodes[unkeyedIndex++];
+
+                if (HTML.#IsText(existing)) {
+
+                    if (existing.data !== `${child}`) {
+                        existing.data = `${child}`;
+                    }
+
+                    newNodes.push(existing);
+                } else {
+                    newNodes.push(element.ownerDocument.createTextNode(`${child}`));
+                }
+
+                continue;
+            }
+
+            let existing = null;
+
+            if (child.key != null) {
+                existing = keyedNodes.get(child.key);
+                keyedNodes.delete(child.key);
+            } else {
+                existing = unkeyedNodes[unkeyedIndex++];
+            }
+
+            if (HTML.#IsElement(existing) && HTML.#MatchesTag(existing, child.tag)) {
+                newNodes.push(HTML.Patch(existing, child));
+            } else {
+                newNodes.push(HTML.#Using(element.ownerDocument, () => HTML.#CreateFromDescriptor(child, HTML.#ChildNamespaceOf(element))));
+            }
+        }
+
+        // Remove nodes that were not matched
+        const retained = new Set(newNodes);
+
+        for (const node of Array.from(element.childNodes)) {
+
+            if (retained.has(node) || HTML.#Removals.has(node)) continue;
+
+            HTML.#Regions.get(node)?.dispose();
+            HTML.#Regions.delete(node);
+            HTML.Remove(node, {dispose: true});
+        }
+
+        // Insert and reorder, only moving nodes that are out of place
+        let reference = element.firstChild;
+
+        for (const node of newNodes) {
+            if (node === reference) {
+                reference = reference.nextSibling;
+            } else {
+                element.insertBefore(node, reference);
+            }
+        }
+    }
+
+    /**
+     * Releases the event listeners, signal bindings and lifecycle hooks attached by descriptors to an element and its descendants. Call this once such an element has been removed from the document; onUnmount hooks that have not yet run are called now.
+     * @param {Element} element The root of the subtree to be disposed.
+     */
+    static Dispose(element) {
+
+        const elements = [element, ...element.querySelectorAll("*")];
+
+        for (const el of elements) {
+
+            const disposers = HTML.#Disposers.get(el);
+
+            HTML.#Bindings.delete(el);
+
+            if (disposers === undefined) continue;
+
+            HTML.#Disposers.delete(el);
+
+            for (const dispose of disposers) {
+                dispose();
+            }
+        }
+
+        HTML.#ReleaseLifecycleHooks(elements);
+    }
+
+    static #Disposers = new WeakMap();
+
+    static #AbortControllers = new WeakMap();
+
+    static #LifecycleHooks = new WeakMap();
+
+    // Observers are only connected while some element has hooks, counted as hooks are set, cleared by Patch() and released by Dispose()
+    static #HookedElementCount = 0;
+
+    // One observer per document, also watching the shadow roots of components
+    static #LifecycleObservers = new WeakMap();
+
+    static #ConnectedLifecycleObservers = new Set();
+
+    // Documents and shadow roots are held weakly, to be observed again whenever hooks are set after all were cleared
+    static #WatchedRoots = new WeakSet();
+
+    static #WatchedRootRefs = new Set();
+
+    // Closed shadow roots cannot be reached from their hosts, so they are remembered here
+    static #ShadowRoots = new WeakMap();
+
+    static #SetLifecycleHooks(element, onMount, onUnmount, enter = null) {
+
+        let hooks = HTML.#LifecycleHooks.get(element);
+
+        if (onMount == null && onUnmount == null && enter == null) {
+
+            if (hooks === undefined) return;
+
+            // Clearing the hooks of a mounted element runs the cleanup returned by onMount, but not onUnmount
+            HTML.#DeleteLifecycleHooks(element, hooks);
+
+            hooks.cleanup?.();
+            return;
+        }
+
+        if (hooks === undefined) {
+
+            hooks = {mounted: false, cleanup: null};
+            HTML.#LifecycleHooks.set(element, hooks);
+
+            if (HTML.#HookedElementCount++ === 0) {
+                HTML.#ConnectLifecycleObservers();
+            }
+        }
+
+        hooks.onMount = onMount;
+        hooks.onUnmount = onUnmount;
+        hooks.enter = enter;
+
+        HTML.#WatchLifecycle(HTML.#Document(element));
+
+        // Elements already in the document produce no mutation record
+        if (element.isConnected && !hooks.mounted) {
+            queueMicrotask(() => HTML.#UpdateLifecycle([element]));
+        }
+    }
+
+    static #SetLeaveTransition(element, leave) {
+        if (leave != null) {
+            HTML.#LeaveTransitions.set(element, leave);
+        }
+    }
+
+    static #DeleteLifecycleHooks(element, hooks) {
+
+        HTML.#LifecycleHooks.delete(element);
+
+        if (--HTML.#HookedElementCount > 0) return;
+
+        // Records still queued can only concern elements without hooks
+        for (const observer of HTML.#ConnectedLifecycleObservers) {
+            observer.disconnect();
+        }
+
+        HTML.#ConnectedLifecycleObservers.clear();
+    }
+
+    // Unmounting runs here, children first, since a disposed element no longer has hooks once its removal is observed
+    static #ReleaseLifecycleHooks(elements) {
+
+        const errors = [];
+
+        for (const element of [...elements].reverse()) {
+
+            const hooks = HTML.#LifecycleHooks.get(element);
+
+            if (hooks === undefined) continue;
+
+            HTML.#DeleteLifecycleHooks(element, hooks);
+
+            if (hooks.mounted) {
+                HTML.#RunLifecycleHook(errors, () => hooks.cleanup?.());
+                HTML.#RunLifecycleHook(errors, () => hooks.onUnmount?.call(element, element));
+            }
+        }
+
+        HTML.#ThrowLifecycleErrors(errors);
+    }
+
+    static #ConnectLifecycleObservers() {
+        for (const ref of HTML.#WatchedRootRefs) {
+
+            const root = ref.deref();
+
+            if (root === undefined) {
+                HTML.#WatchedRootRefs.delete(ref);
+            } else {
+                HTML.#ObserveLifecycleRoot(root);
+            }
+        }
+    }
+
+    static #ObserveLifecycleRoot(root) {
+
+        const observer = HTML.#LifecycleObservers.get(HTML.#Document(root));
+
+        observer.observe(root, {childList: true, subtree: true});
+        HTML.#ConnectedLifecycleObservers.add(observer);
+    }
+
+    static #WatchLifecycle(root) {
+
+        if (HTML.#WatchedRoots.has(root)) return;
+
+        const doc = HTML.#Document(root);
+
+        let observer = HTML.#LifecycleObservers.get(doc);
+
+        if (observer === undefined) {
+
+            observer = new (HTML.#Window(doc).MutationObserver)((records) => {
+                HTML.#UpdateLifecycle(records.flatMap((record) => [...record.addedNodes, ...record.removedNodes]));
+            });
+
+            HTML.#LifecycleObservers.set(doc, observer);
+        }
+
+        if (HTML.#IsShadowRoot(root)) {
+            HTML.#ShadowRoots.set(root.host, root);
+        }
+
+        HTML.#WatchedRoots.add(root);
+        HTML.#WatchedRootRefs.add(new WeakRef(root));
+
+        if (HTML.#HookedElementCount > 0) {
+            HTML.#ObserveLifecycleRoot(root);
+        }
+    }
+
+    static #RunLifecycleHook(errors, hook) {
+        try {
+            return hook();
+        } catch (error) {
+            errors.push(error);
+        }
+    }
+
+    static #ThrowLifecycleErrors(errors) {
+
+        if (errors.length === 1) {
+            throw errors[0];
+        }
+
+        if (errors.length > 1) {
+            throw new AggregateError(errors, `${errors.length} lifecycle hooks failed.`);
+        }
+    }
+
+    // Hooks follow where an element ended up, so an element removed and re-added in the same task is not remounted
+    static #UpdateLifecycle(nodes) {
+
+        if (HTML.#HookedElementCount === 0) return;
+
+        // One failing hook must not stop the others, so errors are rethrown once the walk is done
+        const errors = [];
+
+        const visit = (element) => {
+
+            const hooks = HTML.#LifecycleHooks.get(element);
+
+            // Parents mount before their children, and unmount after them
+            if (hooks !== undefined && element.isConnected && !hooks.mounted) {
+
+                hooks.mounted = true;
+
+                if (hooks.enter != null) {
+                    HTML.#RunLifecycleHook(errors, () => HTML.Animate(element, hooks.enter.from, hooks.enter.to, hooks.enter));
+                }
+
+                const cleanup = HTML.#RunLifecycleHook(errors, () => hooks.onMount?.call(element, element));
+
+                hooks.cleanup = typeof cleanup === 'function' ? cleanup : null;
+            }
+
+            const shadowRoot = Objects.ValueWithDefault(element.shadowRoot, HTML.#ShadowRoots.get(element));
+
+            for (const child of [...element.children, ...(shadowRoot != null ? shadowRoot.children : [])]) {
+                visit(child);
+            }
+
+            if (hooks !== undefined && !element.isConnected && hooks.mounted) {
+
+                const cleanup = hooks.cleanup;
+
+                hooks.mounted = false;
+                hooks.cleanup = null;
+
+                HTML.#RunLifecycleHook(errors, () => cleanup?.());
+                HTML.#RunLifecycleHook(errors, () => hooks.onUnmount?.call(element, element));
+            }
+        };
+
+        for (const node of new Set(nodes)) {
+            if (HTML.#IsElement(node)) {
+                visit(node);
+            }
+        }
+
+        HTML.#ThrowLifecycleErrors(errors);
+    }
+
+    static #AddEventListener(element, eventName, entry) {
+
+        const {handler, selector = null, once = false, passive = undefined, capture = false} = typeof entry === 'function' ? {handler: entry} : entry;
+
+        if (typeof handler !== 'function') {
+            throw new TypeError(`The handler for the "${eventName}" event is not a function.`);
+        }
+
+        // Every listener attached for an element shares one controller, aborted by Dispose()
+        let controller = HTML.#AbortControllers.get(element);
+
+        if (controller === undefined) {
+
+            controller = new (HTML.#Window(element).AbortController)();
+
+            HTML.#AbortControllers.set(element, controller);
+            HTML.#AddDisposer(element, () => {
+                controller.abort();
+                HTML.#AbortControllers.delete(element);
+            });
+        }
+
+        let listener = handler;
+
+        if (selector != null) {
+
+            listener = (event) => {
+
+                const match = HTML.#IsElement(event.target) ? event.target.closest(selector) : null;
+
+                if (match == null || !element.contains(match)) return;
+
+                // Delegated "once" listeners are removed after the first matching event rather than the first event
+                if (once) {
+                    element.removeEventListener(eventName, listener, {capture: capture});
+                }
+
+                handler.call(match, event, match);
+            };
+        }
+
+        element.addEventListener(eventName, listener, {once: once && selector == null, passive: passive, capture: capture, signal: controller.signal});
+
+        return {entry: entry, listener: listener, capture: capture};
+    }
+
+    static #IsSameEventEntry(a, b) {
+
+        if (a === b) return true;
+
+        if (!Objects.isObject(a) || !Objects.isObject(b)) return false;
+
+        return ["handler", "selector", "once", "passive", "capture"].every((option) => a[option] === b[option]);
+    }
+
+    static #AddDisposer(element, dispose) {
+
+        if (!HTML.#Disposers.has(element)) {
+            HTML.#Disposers.set(element, []);
+        }
+
+        HTML.#Disposers.get(element).push(dispose);
+    }
+
+    // Applies the signal's value now and whenever it changes, for as long as the element is not disposed
+    static #Bind(element, signal, apply) {
+
+        // Bindings belong to the element and are released by Dispose(), not by an effect that happens to create them
+        const dispose = Signals.Untracked(() => Signals.Effect(() => {
+
+            const value = signal.value;
+
+            Signals.Untracked(() => HTML.#Using(element.ownerDocument, () => apply(value)));
+        }));
+
+        HTML.#AddDisposer(element, dispose);
+
+        return dispose;
+    }
+
+    // Bindings by element and then by "kind:name", where kind is "attribute", "property" or "style", so that Patch() can keep, replace or release each one
+    static #Bindings = new WeakMap();
+
+    static #BindTarget(element, kind, name, signal, apply) {
+
+        HTML.#Unbind(element, kind, name);
+
+        if (!HTML.#Bindings.has(element)) {
+            HTML.#Bindings.set(element, new Map());
+        }
+
+        HTML.#Bindings.get(element).set(`${kind}:${name}`, {kind: kind, name: name, signal: signal, dispose: HTML.#Bind(element, signal, apply)});
+    }
+
+    static #IsBound(element, kind, name, signal) {
+        return HTML.#Bindings.get(element)?.get(`${kind}:${name}`)?.signal === signal;
+    }
+
+    static #Unbind(element, kind, name) {
+
+        const bindings = HTML.#Bindings.get(element);
+        const binding = bindings?.get(`${kind}:${name}`);
+
+        if (binding === undefined) return;
+
+        bindings.delete(`${kind}:${name}`);
+        binding.dispose();
+
+        const disposers = HTML.#Disposers.get(element);
+        const index = Objects.ValueWithDefault(disposers?.indexOf(binding.dispose), -1);
+
+        if (index >= 0) {
+            disposers.splice(index, 1);
+        }
+    }
+
+    // Releases the bindings of one kind whose names are not kept
+    static #UnbindOthers(element, kind, keptNames) {
+        for (const binding of Array.from(HTML.#Bindings.get(element)?.values() ?? [])) {
+            if (binding.kind === kind && !keptNames.includes(binding.name)) {
+                HTML.#Unbind(element, kind, binding.name);
+            }
+        }
+    }
+
+    static #SetAttribute(element, attribName, value) {
+
+        if (Signals.IsSignal(value)) {
+
+            // Bound attributes are removed rather than stringified when null or false
+            HTML.#BindTarget(element, "attribute", attribName, value, (newValue) => {
+                if (newValue == null || newValue === false) {
+                    element.removeAttribute(attribName);
+                } else {
+                    HTML.#WriteAttribute(element, attribName, `${newValue}`);
+                }
+            });
+
+        } else {
+            HTML.#Unbind(element, "attribute", attribName);
+            HTML.#WriteAttribute(element, attribName, `${value}`);
+        }
+    }
+
+    static #SetAria(element, aria, ref) {
+
+        const {attributes, references} = HTML.#AriaAttributes(aria);
+
+        for (const attribName in attributes) {
+            HTML.#SetAttribute(element, attribName, attributes[attribName]);
+        }
+
+        HTML.#AddReferences(element, ref, references);
+    }
+
+    static #AriaSignals = new WeakMap();
+
+    // Splits an aria object such as {label, expanded, labelledBy} into aria-* attributes, and ID references to be resolved against refs
+    static #AriaAttributes(aria) {
+
+        let attributes = {};
+        let references = {};
+
+        for (const name in Objects.ValueWithDefault(aria, {})) {
+
+            const value = aria[name];
+            const property = name.replace(/^aria-?/i, "").toLowerCase();
+            const attribName = `aria-${property}`;
+
+            if (value == null) continue;
+
+            if (HTML.#AriaReferenceProperties.has(property) && !Signals.IsSignal(value)) {
+                references[attribName] = [value].flat().map((refName) => `${refName}`);
+            } else if (Signals.IsSignal(value)) {
+
+                // One derived signal per source, so that Patch() recognizes a binding it has already made
+                if (!HTML.#AriaSignals.has(value)) {
+                    HTML.#AriaSignals.set(value, Signals.Computed(() => HTML.#AriaValue(value.value)));
+                }
+
+                attributes[attribName] = HTML.#AriaSignals.get(value);
+            } else {
+                attributes[attribName] = HTML.#AriaValue(value);
+            }
+        }
+
+        return {attributes: attributes, references: references};
+    }
+
+    // Unlike other attributes, false is kept as "false", since ARIA distinguishes it from an absent state
+    static #AriaValue(value) {
+        return value == null ? null : [value].flat().join(" ");
+    }
+
+    // The refs and ID references of the descriptors currently being created
+    static #RefScope = null;
+
+    static #WithRefScope(fn) {
+
+        if (HTML.#RefScope != null) return fn();
+
+        const scope = {refs: new Map(), references: []};
+
+        let result;
+
+        HTML.#RefScope = scope;
+
+        try {
+            result = fn();
+        } finally {
+            HTML.#RefScope = null;
+        }
+
+        HTML.#ResolveReferences(scope);
+
+        return result;
+    }
+
+    static #AddReferences(element, ref, references) {
+
+        if (HTML.#RefScope == null) {
+            HTML.#WithRefScope(() => HTML.#AddReferences(element, ref, references));
+            return;
+        }
+
+        if (ref != null) {
+            HTML.#RefScope.refs.set(`${ref}`, element);
+        }
+
+        for (const attribName in references) {
+            HTML.#RefScope.references.push({element: element, attribName: attribName, names: references[attribName]});
+        }
+    }
+
+    static #ResolveReferences({refs, references}) {
+
+        for (const {element, attribName, names} of references) {
+
+            const ids = names.map((name) => {
+
+                const target = refs.get(name);
+
+                // Names which are not refs are taken to be IDs already
+                if (target === undefined) return name;
+
+                if (!target.id) {
+                    target.id = Objects.GetUniqueId(name);
+                }
+
+                return target.id;
+            });
+
+            HTML.#WriteAttribute(element, attribName, ids.join(" "));
+        }
+    }
+
+    // Only refs which are referenced are given an ID, unless the descriptor has one already
+    static #CollectRefIds(descriptor) {
+
+        let refs = new Map();
+        let referenced = new Set();
+
+        const visit = (node) => {
+
+            node = Signals.Unwrap(node);
+
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+
+            if (!Objects.isObject(node) || !("tag" in node)) return;
+
+            if (node.ref != null) {
+                refs.set(`${node.ref}`, Signals.Unwrap(Signals.Unwrap(node.attributes)?.id));
+            }
+
+            for (const names of Object.values(HTML.#AriaAttributes(Signals.Unwrap(node.aria)).references)) {
+                names.forEach((name) => referenced.add(name));
+            }
+
+            visit(node.children);
+        };
+
+        visit(descriptor);
+
+        let ids = new Map();
+
+        for (const [name, id] of refs) {
+            if (id != null) {
+                ids.set(name, `${id}`);
+            } else if (referenced.has(name)) {
+                ids.set(name, Objects.GetUniqueId(name));
+            }
+        }
+
+        return ids;
+    }
+
+    static #AriaReferenceProperties = new Set(["activedescendant", "controls", "describedby", "details", "errormessage", "flowto", "labelledby", "owns"]);
+
+    static #AriaProperties = new Set([
+        "activedescendant", "atomic", "autocomplete", "braillelabel", "brailleroledescription", "busy", "checked", "colcount", "colindex", "colindextext", "colspan",
+        "controls", "current", "describedby", "description", "details", "disabled", "dropeffect", "errormessage", "expanded", "flowto", "grabbed", "haspopup",
+        "hidden", "invalid", "keyshortcuts", "label", "labelledby", "level", "live", "modal", "multiline", "multiselectable", "orientation", "owns",
+        "placeholder", "posinset", "pressed", "readonly", "relevant", "required", "roledescription", "rowcount", "rowindex", "rowindextext", "rowspan",
+        "selected", "setsize", "sort", "valuemax", "valuemin", "valuenow", "valuetext",
+    ]);
+
+    static #AriaRoles = new Set([
+        "alert", "alertdialog", "application", "article", "banner", "blockquote", "button", "caption", "cell", "checkbox", "code", "columnheader", "combobox",
+        "complementary", "contentinfo", "definition", "deletion", "dialog", "directory", "document", "emphasis", "feed", "figure", "form", "generic", "grid",
+        "gridcell", "group", "heading", "img", "insertion", "link", "list", "listbox", "listitem", "log", "main", "marquee", "math", "menu", "menubar",
+        "menuitem", "menuitemcheckbox", "menuitemradio", "meter", "navigation", "none", "note", "option", "paragraph", "presentation", "progressbar", "radio",
+        "radiogroup", "region", "row", "rowgroup", "rowheader", "scrollbar", "search", "searchbox", "separator", "slider", "spinbutton", "status", "strong",
+        "subscript", "superscript", "switch", "tab", "table", "tablist", "tabpanel", "term", "textbox", "time", "timer", "toolbar", "tooltip", "tree",
+        "treegrid", "treeitem",
+    ]);
+
+    static #SetProperty(element, propName, value) {
+
+        if (Signals.IsSignal(value)) {
+            HTML.#BindTarget(element, "property", propName, value, (newValue) => element[propName] = newValue);
+        } else {
+            HTML.#Unbind(element, "property", propName);
+            element[propName] = value;
+        }
+    }
+
+    static #IsReactiveStyle(style) {
+        return Signals.IsSignal(style) || (Objects.isObject(style) && Object.values(style).some((value) => Signals.IsSignal(value)));
+    }
+
+    static #ApplyStyle(element, style) {
+
+        if (Signals.IsSignal(style)) {
+            HTML.#BindTarget(element, "attribute", "style", style, (newStyle) => element.setAttribute("style", Objects.ValueWithDefault(HTML.ObjectToStyleRule(newStyle), "")));
+            return;
+        }
+
+        if (!Objects.isObject(style)) {
+            style = HTML.StyleRuleToObject(`${style}`);
+        }
+
+        let staticStyle = {};
+
+        for (const propertyName in style) {
+            if (!Signals.IsSignal(style[propertyName])) {
+                staticStyle[propertyName] = style[propertyName];
+            }
+        }
+
+        if (Object.keys(staticStyle).length > 0) {
+            HTML.SetStyle(element, staticStyle);
+        }
+
+        for (const propertyName in style) {
+            if (Signals.IsSignal(style[propertyName])) {
+                HTML.#BindStyleProperty(element, HTML.ToCssPropertyName(propertyName), style[propertyName]);
+            }
+        }
+    }
+
+    static #BindStyleProperty(element, cssName, signal) {
+        HTML.#BindTarget(element, "style", cssName, signal, (newValue) => HTML.#SetStyleProperty(element, cssName, newValue));
+    }
+
+    static #AppendContent(element, content) {
+
+        if (!Signals.IsSignal(content)) {
+            element.append(HTML.#CreateFromDescriptor(content, HTML.#ChildNamespaceOf(element)));
+            return;
+        }
+
+        const anchor = HTML.#CreateRegion(element, content);
+
+        element.append(...HTML.#Regions.get(anchor).nodes, anchor);
+    }
+
+    // Reactive content occupies the region before an empty anchor node. Until the anchor is inserted, the region's nodes are only created.
+    static #CreateRegion(element, signal) {
+
+        const anchor = element.ownerDocument.createTextNode("");
+        const region = {signal: signal, nodes: [], dispose: null};
+
+        HTML.#Regions.set(anchor, region);
+
+        region.dispose = HTML.#Bind(element, signal, (value) => {
+
+            // Text can be updated in place
+            if (!Objects.isObject(value) && value != null && region.nodes.length === 1 && HTML.#IsText(region.nodes[0])) {
+                region.nodes[0].data = `${value}`;
+                return;
+            }
+
+            // Refs and ID references are resolved among all the nodes of a render
+            const newNodes = HTML.#WithRefScope(() => [value].flat(Infinity)
+                .filter((item) => item != null && item !== false)
+                .map((item) => HTML.#CreateFromDescriptor(item, HTML.#ChildNamespaceOf(element)))
+                .filter((item) => !Signals.IsSignal(item)));
+
+            for (const node of region.nodes) {
+                if (!newNodes.includes(node)) {
+                    HTML.Remove(node, {dispose: true});
+                }
+            }
+
+            anchor.before(...newNodes);
+
+            region.nodes = newNodes;
+        });
+
+        return anchor;
+    }
+
+    // Signal regions by anchor node
+    static #Regions = new WeakMap();
+
+    /**
+     * Escapes a string for use as HTML text or as a double-quoted attribute value. This is the string equivalent of CreateTextNode().
+     * @param {string} data The string to be escaped.
+     * @returns {string} The escaped string.
+     */
+    static EscapeHtml(data) {
+        return `${data}`
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;")
+            .replace(/'/g, "&#39;");
+    }
+
+    /**
+     * Renders a descriptor (or array of descriptors) accepted by Create() or FromObject() into an HTML string. No DOM is required, so this may be used on a server or in a build step. Note: events, inlineModifier, onMount and onUnmount callbacks cannot be represented in markup and are ignored.
+     * @param {object|Array.<object>} descriptor An object of the form {tag, attributes, style, properties, children, text}, or an array of them. Strings and numbers are rendered as escaped text.
+     * @returns {string} The rendered HTML.
+     */
+    static ToHtmlString(descriptor) {
+        return Array.from(HTML.ToHtmlStream(descriptor)).join("");
+    }
+
+    /**
+     * Renders a descriptor (or array of descriptors) into a sequence of HTML string chunks. This is the streaming variant of ToHtmlString(), suitable for piping through Readable.from() or a ReadableStream.
+     * @param {object|Array.<object>} descriptor An object of the form {tag, attributes, style, properties, children, text}, or an array of them.
+     * @returns {Generator<string>} A generator yielding chunks of HTML.
+     */
+    static *ToHtmlStream(descriptor) {
+        yield* HTML.#ToHtmlStream(descriptor, HTML.#CollectRefIds(descriptor));
+    }
+
+    static *#ToHtmlStream(descriptor, refIds) {
+
+        // Signals are rendered using their current value
+        descriptor = Signals.Unwrap(descriptor);
+
+        if (descriptor == null || descriptor === false) return;
+
+        if (Array.isArray(descriptor)) {
+            for (let i = 0; i < descriptor.length; i++) {
+                yield* HTML.#ToHtmlStream(descriptor[i], refIds);
+            }
+
+            return;
+        }
+
+        if (typeof descriptor !== 'object') {
+            yield HTML.EscapeHtml(descriptor);
+            return;
+        }
+
+        // Existing nodes (when a DOM is available) are emitted as-is
+        if (typeof descriptor.outerHTML === 'string') {
+            yield descriptor.outerHTML;
+            return;
+        }
+
+        // Matches FromObject(), which ignores objects without a tag
+        if (!("tag" in descriptor)) return;
+
+        const tag = `${descriptor.tag}`.toLowerCase();
+
+        // The tag is written into the markup verbatim, so it cannot be allowed to carry attributes or close itself
+        if (!HTML.#TagNamePattern.test(tag)) {
+            throw new TypeError(`"${descriptor.tag}" is not a valid tag name.`);
+        }
+
+        const unwrap = (obj) => Objects.MapObject(Objects.ValueWithDefault(Signals.Unwrap(obj), {}), (value) => Signals.Unwrap(value));
+        const properties = unwrap(descriptor.properties);
+        const text = Signals.Unwrap(descriptor.text);
+
+        // Merge Style and Attributes the same way Create() does, without modifying the descriptor
+        let attributes = Objects.Merge(Signals.Unwrap(descriptor.attributes));
+
+        for (const attribName in attributes) {
+
+            const value = attributes[attribName];
+
+            // Bound attributes are omitted when null or false, as Create() does
+            if (Signals.IsSignal(value) && (value.Peek() == null || value.Peek() === false)) {
+                delete attributes[attribName];
+            } else if (attribName.toLowerCase() === "style" && Objects.isObject(Signals.Unwrap(value))) {
+                attributes[attribName] = unwrap(value);
+            } else {
+                attributes[attribName] = Signals.Unwrap(value);
+            }
+        }
+
+        if (Objects.IsDefined(descriptor.style)) {
+            if ("style" in attributes) {
+                attributes.style = Objects.Merge(HTML.StyleRuleToObject(HTML.ObjectToStyleRule(attributes.style)), HTML.#NormalizeStyle(unwrap(descriptor.style)));
+            } else {
+                attributes.style = unwrap(descriptor.style);
+            }
+        }
+
+        // ID references are resolved against the refs of the whole tree, as Create() does
+        const aria = HTML.#AriaAttributes(Signals.Unwrap(descriptor.aria));
+
+        for (const attribName in aria.attributes) {
+
+            const value = Signals.Unwrap(aria.attributes[attribName]);
+
+            if (value != null) {
+                attributes[attribName] = value;
+            }
+        }
+
+        for (const attribName in aria.references) {
+            attributes[attribName] = aria.references[attribName].map((name) => refIds.get(name) ?? name).join(" ");
+        }
+
+        if (descriptor.ref != null && !("id" in attributes) && refIds.has(`${descriptor.ref}`)) {
+            attributes.id = refIds.get(`${descriptor.ref}`);
+        }
+
+        // Reflect properties which have an attribute or content equivalent
+        let rawContent = null;
+        let textContent = null;
+
+        for (const propName in properties) {
+
+            const value = properties[propName];
+
+            if (propName === "innerHTML") {
+                rawContent = `${value}`;
+            } else if (propName === "textContent" || propName === "innerText" || (propName === "value" && tag === "textarea")) {
+                textContent = `${value}`;
+            } else if (typeof value === 'boolean') {
+                if (value) {
+                    attributes[propName.toLowerCase()] = "";
+                }
+            } else if (typeof value === 'string' || typeof value === 'number') {
+                attributes[HTML.#PropertyAttributeNames[propName] ?? propName.toLowerCase()] = value;
+            }
+        }
+
+        // Opening Tag
+        let sb = [`<${tag}`];
+
+        for (const attribName in attributes) {
+
+            if (!HTML.#AttributeNamePattern.test(attribName)) continue;
+
+            const value = attribName.toLowerCase() === "style"
+                ? HTML.ObjectToStyleRule(attributes[attribName])
+                : attributes[attribName];
+
+            sb.push(` ${attribName}="${HTML.EscapeHtml(value)}"`);
+        }
+
+        sb.push(">");
+
+        yield sb.join("");
+
+        if (HTML.#VoidElements.has(tag)) return;
+
+        // Content
+        if (rawContent != null) {
+            yield rawContent;
+        } else if (textContent != null) {
+            yield HTML.#EscapeElementText(tag, textContent);
+        }
+
+        if (Objects.IsDefined(text)) {
+            yield HTML.#EscapeElementText(tag, `${text}`);
+        }
+
+        if (Objects.IsDefined(descriptor.children)) {
+            yield* HTML.#ToHtmlStream(descriptor.children, refIds);
+        }
+
+        yield `</${tag}>`;
+    }
+
+    static #VoidElements = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr"]);
+
+    static #PropertyAttributeNames = {className: "class", htmlFor: "for", httpEquiv: "http-equiv", acceptCharset: "accept-charset"};
+
+    static #AttributeNamePattern = /^[^\s"'>\/=\u0000-\u001f]+$/;
+
+    static #EscapeElementText(tag, text) {
+
+        // Raw text elements are not entity-decoded by the parser, so only the closing sequence needs neutralizing
+        if (tag === "script" || tag === "style") {
+            return text.replace(/<\/(script|style)/gi, "<\\/$1");
+        }
+
+        return HTML.EscapeHtml(text);
+    }
+
+    /**
+     * Converts a Style-rule string into an object representing Style declarations. Quotes, escapes, parentheses (such as url(data:...)) and comments are respected, property names are lower-cased (except custom properties), and an !important flag is kept at the end of the value as " !important".
+     * @param styleString The style-rule string containing styling declarations.
+     * @returns {{}} An object representing Style declarations.
+     */
+    static StyleRuleToObject(styleString) {
+
+        let styleObj = {};
+
+        if (styleString == null || styleString.length < 1) return styleObj;
+
+        let quote = null;
+        let depth = 0;
+
+        // Extract Declarations
+        let declaration = [];
+        let key = null;
+
+        const addDeclaration = () => {
+
+            if (key != null && key.length > 0) {
+
+                let value = declaration.join("").trim();
+
+                // Normalize the priority flag, which may contain whitespace after the "!"
+                const priority = /!\s*important$/i.exec(value);
+
+                if (priority != null) {
+                    value = `${value.substring(0, priority.index).trim()} !important`;
+                }
+
+                if (value.length > 0) {
+                    styleObj[key.startsWith("--") ? key : key.toLowerCase()] = value;
+                }
+            }
+
+            key = null;
+            declaration = [];
+        };
+
+        for (let i = 0; i < styleString.length; i++) {
+
+            const c = styleString[i];
+
+            // Escaped characters are taken literally, in or out of quotes
+            if (c === "\\" && i + 1 < styleString.length) {
+                declaration.push(c, styleString[++i]);
+                continue;
+            }
+
+            if (quote != null) {
+
+                if (c === quote) {
+                    quote = null;
+                }
+
+                declaration.push(c);
+                continue;
+            }
+
+            if (c === "/" && styleString[i + 1] === "*") {
+
+                const commentEnd = styleString.indexOf("*/", i + 2);
+
+                i = commentEnd < 0 ? styleString.length : commentEnd + 1;
+
+                // A comment separates tokens like whitespace does
+                declaration.push(" ");
+                continue;
+            }
+
+            if (c === "\"" || c === "'") {
+                quote = c;
+            } else if (c === "(") {
+                depth++;
+            } else if (c === ")" && depth > 0) {
+                depth--;
+            } else if (c === ":" && key == null && depth === 0) {
+                key = declaration.join("").trim();
+                declaration = [];
+                continue;
+            } else if (c === ";" && depth === 0) {
+                addDeclaration();
+                continue;
+            }
+
+            declaration.push(c);
+        }
+
+        addDeclaration();
+
+        return styleObj;
+    }
+
+    /**
+     * Converts an object representing Style declarations into a Style-rule string.
+     * @param styleObj The object containing style declarations. Keys may be CSS property names, camelCase names or custom properties; null values are omitted. If this parameter is not an object, the parameter is returned immediately, with the assumption it is already a string formatted as a style rule.
+     * @returns {*|string} A style-rule string consisting of style declarations separated by semicolons.
+     */
+    static ObjectToStyleRule(styleObj) {
+
+        if (!Objects.isObject(styleObj)) return styleObj;
+
+        let sb = [];
+
+        for (let styleAttrib in styleObj) {
+            if (styleObj[styleAttrib] != null) {
+                sb.push(`${HTML.ToCssPropertyName(styleAttrib)}: ${styleObj[styleAttrib]};`);
+            }
+        }
+
+        return sb.join(" ");
+    }
+
+    /**
+     * Converts a camelCase style property name, as used by CSSStyleDeclaration, into a CSS property name. Example: backgroundColor becomes background-color and WebkitTransform becomes -webkit-transform. Names that already contain a hyphen, including custom properties, are returned unchanged (other than lower-casing).
+     * @param {string} propertyName The property name to convert.
+     * @returns {string}
+     */
+    static ToCssPropertyName(propertyName) {
+
+        if (propertyName.startsWith("--")) return propertyName;
+
+        if (propertyName.includes("-")) return propertyName.toLowerCase();
+
+        const cssName = propertyName.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
+
+        // Vendor prefixes written in lower camelCase (msTransform, webkitTransform) still need a leading hyphen
+        return /^(webkit|moz|ms|o)-/.test(cssName) ? `-${cssName}` : cssName;
+    }
+
+    static #NormalizeStyle(style) {
+
+        if (!Objects.isObject(style) || Signals.IsSignal(style)) return style;
+
+        let normalized = {};
+
+        for (const propertyName in style) {
+            normalized[HTML.ToCssPropertyName(propertyName)] = style[propertyName];
+        }
+
+        return normalized;
+    }
+
+    static #SetStyleProperty(element, cssName, value) {
+
+        if (value == null) {
+            element.style.removeProperty(cssName);
+            return;
+        }
+
+        const priority = /^(.*?)\s*!\s*important$/i.exec(`${value}`);
+
+        if (priority != null) {
+            element.style.setProperty(cssName, priority[1], "important");
+        } else {
+            element.style.setProperty(cssName, `${value}`);
+        }
+    }
+
+    /**
+     * Creates a stylesheet from an object of nested style objects, generating a unique, scoped class name for each top-level key.
+     * @param {object} styles An object whose keys are class keys and whose values are style objects (as used by ObjectToStyleRule()). Style objects may nest further rules: selectors containing `&` (replaced by the parent selector, e.g. "&:hover" or ".dark &"), selectors without `&` (treated as descendants), and `@media`, `@supports` or `@container` blocks. Top-level `@keyframes name` entries are scoped too, and references to them in animation values are rewritten. `$key` in a selector refers to another class key. Top-level `@media`, `@supports`, `@layer` and `@container` blocks may also contain class keys, while other top-level at-rules (such as `@font-face`) hold declarations.
+     * @param {object} options
+     * @param {string} options.scope A prefix for the generated class names.
+     * @param {Document|ShadowRoot} options.target The document or shadow root the stylesheet is installed into.
+     * @param {boolean} options.install Set to false to only generate the CSS text, for example when rendering on a server.
+     * @returns {{classes: Object.<string, string>, keyframes: Object.<string, string>, cssText: string, sheet: CSSStyleSheet|null, Remove: function()}} The generated class names by key, the scoped keyframes names, the CSS text, the installed sheet, and a function that uninstalls it.
+     */
+    static CreateStyleSheet(styles, {scope = null, target = null, install = true} = {}) {
+
+        let classes = {};
+        let keyframes = {};
+
+        const scopedName = (name) => Objects.GetUniqueId(Objects.IsDefined(scope) ? `${scope}-${name}` : name);
+
+        // Assign names first so rules can reference classes and keyframes declared after them
+        for (const key in styles) {
+
+            if (key.startsWith("@keyframes ")) {
+
+                const name = key.substring("@keyframes ".length).trim();
+
+                keyframes[name] = scopedName(name);
+
+            } else if (HTML.#GroupingAtRulePattern.test(key)) {
+
+                for (const innerKey in styles[key]) {
+                    if (!(innerKey in classes)) {
+                        classes[innerKey] = scopedName(innerKey);
+                    }
+                }
+
+            } else if (!key.startsWith("@") && !(key in classes)) {
+                classes[key] = scopedName(key);
+            }
+        }
+
+        let rules = [];
+
+        for (const key in styles) {
+
+            if (key.startsWith("@keyframes ")) {
+
+                const frames = Object.entries(styles[key])
+                    .map(([frame, style]) => `${frame} { ${HTML.#StyleSheetDeclarations(style, keyframes)} }`);
+
+                rules.push(`@keyframes ${keyframes[key.substring("@keyframes ".length).trim()]} { ${frames.join(" ")} }`);
+
+            } else if (HTML.#GroupingAtRulePattern.test(key)) {
+
+                let innerRules = [];
+
+                for (const innerKey in styles[key]) {
+                    HTML.#StyleSheetRules(`.${classes[innerKey]}`, styles[key][innerKey], classes, keyframes, innerRules);
+                }
+
+                rules.push(`${key} { ${innerRules.join(" ")} }`);
+
+            } else if (key.startsWith("@")) {
+                rules.push(`${key} { ${HTML.#StyleSheetDeclarations(styles[key], keyframes)} }`);
+            } else {
+                HTML.#StyleSheetRules(`.${classes[key]}`, styles[key], classes, keyframes, rules);
+            }
+        }
+
+        const cssText = rules.join("\n");
+
+        let installed = {sheet: null, Remove: () => {}};
+
+        if (install) {
+            installed = HTML.#InstallStyleSheet(cssText, Objects.ValueWithDefault(target, HTML.#Document()));
+        }
+
+        return {classes: classes, keyframes: keyframes, cssText: cssText, sheet: installed.sheet, Remove: installed.Remove};
+    }
+
+    // At-rules whose blocks hold rules, rather than declarations
+    static #GroupingAtRulePattern = /^@(media|supports|layer|container)\b/;
+
+    static #StyleSheetRules(selector, style, classes, keyframes, rules) {
+
+        const declarations = HTML.#StyleSheetDeclarations(style, keyframes);
+
+        if (declarations.length > 0) {
+            rules.push(`${selector} { ${declarations} }`);
+        }
+
+        for (const key in style) {
+
+            if (!Objects.isObject(style[key])) continue;
+
+            if (key.startsWith("@")) {
+
+                let innerRules = [];
+
+                HTML.#StyleSheetRules(selector, style[key], classes, keyframes, innerRules);
+
+                rules.push(`${key} { ${innerRules.join(" ")} }`);
+                continue;
+            }
+
+            // Combine every parent selector with every nested selector
+            const resolvedKey = key.replace(/\$([\w-]+)/g, (match, name) => name in classes ? `.${classes[name]}` : match);
+            const nestedSelectors = [];
+
+            for (const parent of HTML.#SplitSelectorList(selector)) {
+                for (const nested of HTML.#SplitSelectorList(resolvedKey)) {
+                    nestedSelectors.push(nested.includes("&") ? nested.replace(/&/g, () => parent) : `${parent} ${nested}`);
+                }
+            }
+
+            HTML.#StyleSheetRules(nestedSelectors.join(", "), style[key], classes, keyframes, rules);
+        }
+    }
+
+    // Splits a selector list on its top-level commas, leaving those within :is(), :where(), attribute selectors and strings
+    static #SplitSelectorList(selectorList) {
+
+        let selectors = [];
+        let depth = 0;
+        let quote = null;
+        let start = 0;
+
+        for (let i = 0; i < selectorList.length; i++) {
+
+            const c = selectorList[i];
+
+            if (c === "\\") {
+                i++;
+            } else if (quote != null) {
+                quote = c === quote ? null : quote;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (c === "(" || c === "[") {
+                depth++;
+            } else if (c === ")" || c === "]") {
+                depth--;
+            } else if (c === "," && depth === 0) {
+                selectors.push(selectorList.substring(start, i).trim());
+                start = i + 1;
+            }
+        }
+
+        selectors.push(selectorList.substring(start).trim());
+
+        return selectors;
+    }
+
+    static #StyleSheetDeclarations(style, keyframes) {
+
+        let declarations = {};
+
+        for (const key in style) {
+
+            if (Objects.isObject(style[key]) || style[key] == null) continue;
+
+            let value = `${style[key]}`;
+            const cssName = HTML.ToCssPropertyName(key);
+
+            if (cssName === "animation" || cssName === "animation-name") {
+                value = value.replace(/[\w-]+/g, (name) => Objects.ValueWithDefault(keyframes[name], name));
+            }
+
+            declarations[cssName] = value;
+        }
+
+        return HTML.ObjectToStyleRule(declarations);
+    }
+
+    static #InstallStyleSheet(cssText, target) {
+
+        // Sheets can only be adopted by documents in the window that constructed them
+        const {CSSStyleSheet} = HTML.#Window(target);
+
+        // Prefer constructable stylesheets, which can be shared and removed without touching the DOM
+        if ("adoptedStyleSheets" in target && typeof CSSStyleSheet === 'function' && "replaceSync" in CSSStyleSheet.prototype) {
+            try {
+
+                const sheet = new CSSStyleSheet();
+
+                sheet.replaceSync(cssText);
+
+                target.adoptedStyleSheets = [...target.adoptedStyleSheets, sheet];
+
+                return {
+                    sheet: sheet,
+                    element: null,
+                    Remove: () => target.adoptedStyleSheets = target.adoptedStyleSheets.filter((adopted) => adopted !== sheet),
+                };
+
+            } catch {}
+        }
+
+        const styleElement = HTML.#Document(target).createElement("style");
+
+        styleElement.textContent = cssText;
+
+        Objects.ValueWithDefault(target.head, target).append(styleElement);
+
+        return {sheet: styleElement.sheet, element: styleElement, Remove: () => styleElement.remove()};
+    }
+
+    /**
+     * Defines a custom element whose content is rendered from a Create()-style descriptor. Content is updated with Patch() whenever a prop changes, so focus and input state inside the element are preserved.
+     * @param {string} name The custom element name, which must contain a hyphen.
+     * @param {object} definition
+     * @param {function(object, HTMLElement): (object|Array.<object>)} definition.render Receives the current props and the element, and returns a descriptor (or array of descriptors) for the element's content.
+     * @param {string|object} definition.styles CSS text, or an object of selectors to style objects (nesting as in CreateStyleSheet()), installed into the shadow root (or the document, without a shadow root).
+     * @param {string[]} definition.observedAttributes Additional attributes whose changes are reported to attributeChanged.
+     * @param {Object.<string, (function|{type: function, default: *, attribute: (string|boolean), reflect: boolean})>} definition.props Props exposed as element properties. Each is either a type (String, Number, Boolean, Object or Array) or an object with the type, a default (a function is called to produce object defaults), the attribute mapped to it (defaults to the kebab-case prop name; false for none) and whether changes to the prop are reflected to the attribute.
+     * @param {string|boolean} definition.shadow "open" (default) or "closed" to render into a shadow root of that mode, or false to render into the element itself.
+     * @param {boolean} definition.formAssociated Set to true to make the element form-associated. Its ElementInternals are available as `element.internals`.
+     * @param {function(HTMLElement)} definition.connected Called after the element is added to a document and rendered.
+     * @param {function(HTMLElement)} definition.disconnected Called after the element is removed from a document.
+     * @param {function(HTMLElement, string, string, string)} definition.attributeChanged Called with the element, attribute name, old value and new value when an observed attribute changes.
+     * @param {function(HTMLElement)} definition.formReset Called when the owning form is reset (form-associated elements only).
+     * @param {function(HTMLElement, boolean)} definition.formDisabled Called when the element's disabled state changes (form-associated elements only).
+     * @returns {CustomElementConstructor} The defined element class.
+     */
+    static DefineComponent(name, {render = null, styles = null, observedAttributes = [], props = {}, shadow = "open", formAssociated = false, connected = null, disconnected = null, attributeChanged = null, formReset = null, formDisabled = null} = {}) {
+
+        const propDefinitions = Objects.MapObject(props, (definition, propName) => Objects.Merge(
+            {type: String, default: undefined, attribute: propName.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`), reflect: false},
+            typeof definition === 'function' ? {type: definition} : definition
+        ));
+
+        let attributeProps = {};
+
+        for (const propName in propDefinitions) {
+            if (propDefinitions[propName].attribute !== false) {
+                attributeProps[propDefinitions[propName].attribute] = propName;
+            }
+        }
+
+        const allObservedAttributes = [...new Set([...observedAttributes, ...Object.keys(attributeProps)])];
+
+        const defaultValue = (definition) => typeof definition.default === 'function' && definition.type !== Function
+            ? definition.default()
+            : definition.default;
+
+        let cssText = null;
+
+        if (typeof styles === 'string') {
+            cssText = styles;
+        } else if (Objects.isObject(styles)) {
+
+            let rules = [];
+
+            for (const selector in styles) {
+                HTML.#StyleSheetRules(selector, styles[selector], {}, {}, rules);
+            }
+
+            cssText = rules.join("\n");
+        }
+
+        // Without a shadow root, styles are shared by every instance in the document
+        let documentStyleSheet = null;
+
+        const component = class extends HTML.#Window().HTMLElement {
+
+            static formAssociated = formAssociated;
+
+            static get observedAttributes() {
+                return allObservedAttributes;
+            }
+
+            static {
+                for (const propName in propDefinitions) {
+                    Object.defineProperty(this.prototype, propName, {
+                        get() {
+                            return this.#props[propName];
+                        },
+                        set(value) {
+                            this.#SetProp(propName, value);
+                        },
+                        configurable: true,
+                        enumerable: true,
+                    });
+                }
+            }
+
+            internals = null;
+
+            #root;
+            #props = {};
+            #styleSheet = null;
+            #renderScheduled = false;
+            #reflecting = false;
+
+            constructor() {
+
+                super();
+
+                for (const propName in propDefinitions) {
+                    this.#props[propName] = defaultValue(propDefinitions[propName]);
+                }
+
+                if (formAssociated) {
+                    this.internals = this.attachInternals();
+                }
+
+                this.#root = shadow ? this.attachShadow({mode: shadow === "closed" ? "closed" : "open"}) : this;
+
+                if (shadow) {
+                    HTML.#WatchLifecycle(this.#root);
+                }
+            }
+
+            /**
+             * A copy of the current prop values.
+             * @returns {object}
+             */
+            get props() {
+                return Objects.Merge(this.#props);
+            }
+
+            connectedCallback() {
+
+                // Properties assigned before the element was upgraded shadow the prototype accessors
+                for (const propName in propDefinitions) {
+                    if (Object.hasOwn(this, propName)) {
+
+                        const value = this[propName];
+
+                        delete this[propName];
+                        this[propName] = value;
+                    }
+                }
+
+                if (cssText != null) {
+                    if (this.#root !== this && this.#styleSheet == null) {
+                        this.#styleSheet = HTML.#InstallStyleSheet(cssText, this.#root);
+                    } else if (this.#root === this && documentStyleSheet == null) {
+                        documentStyleSheet = HTML.#InstallStyleSheet(cssText, this.ownerDocument);
+                    }
+                }
+
+                this.Render();
+
+                connected?.call(this, this);
+            }
+
+            disconnectedCallback() {
+                disconnected?.call(this, this);
+            }
+
+            attributeChangedCallback(attribName, oldValue, newValue) {
+
+                if (attribName in attributeProps && !this.#reflecting) {
+
+                    const propName = attributeProps[attribName];
+                    const definition = propDefinitions[propName];
+
+                    this.#SetProp(propName, HTML.#AttributeToProp(newValue, definition.type, () => defaultValue(definition)), false);
+                }
+
+                attributeChanged?.call(this, this, attribName, oldValue, newValue);
+            }
+
+            formResetCallback() {
+                formReset?.call(this, this);
+            }
+
+            formDisabledCallback(disabled) {
+                formDisabled?.call(this, this, disabled);
+            }
+
+            /**
+             * Renders the element's content immediately. Rendering normally happens automatically when props change.
+             */
+            Render() {
+
+                if (render == null) return;
+
+                let children = [render.call(this, this.props, this)].flat(Infinity);
+
+                if (this.#styleSheet?.element != null) {
+                    children.unshift(this.#styleSheet.element);
+                }
+
+                HTML.#PatchChildren(this.#root, children.filter((child) => child != null && child !== false));
+            }
+
+            #SetProp(propName, value, reflect = true) {
+
+                if (Object.is(this.#props[propName], value)) return;
+
+                this.#props[propName] = value;
+
+                const definition = propDefinitions[propName];
+
+                if (reflect && definition.reflect && definition.attribute !== false) {
+
+                    this.#reflecting = true;
+
+                    try {
+                        if (value == null || value === false) {
+                            this.removeAttribute(definition.attribute);
+                        } else {
+                            this.setAttribute(definition.attribute, value === true ? "" : Objects.isObject(value) ? JSON.stringify(value) : `${value}`);
+                        }
+                    } finally {
+                        this.#reflecting = false;
+                    }
+                }
+
+                // Several props are often set together, so rendering waits for the current task to finish
+                if (!this.#renderScheduled) {
+
+                    this.#renderScheduled = true;
+
+                    queueMicrotask(() => {
+
+                        this.#renderScheduled = false;
+
+                        if (this.isConnected) {
+                            this.Render();
+                        }
+                    });
+                }
+            }
+        };
+
+        HTML.#Window().customElements.define(name, component);
+
+        return component;
+    }
+
+    static #AttributeToProp(value, type, getDefault) {
+
+        if (type === Boolean) return value !== null;
+
+        if (value === null) return getDefault();
+
+        if (type === Number) return Number(value);
+
+        if (type === Object || type === Array) {
+            try {
+                return JSON.parse(value);
+            } catch {
+                return getDefault();
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * Converts the fields of a form into an object, following the browser's rules for which fields are submitted: disabled fields, buttons and unchecked checkboxes and radio buttons are skipped. Field names such as "address.city" and "items[0].qty" produce nested objects and arrays, and a name ending in "[]" always produces an array.
+     * @param {HTMLFormElement} form The form to be read.
+     * @param {object} options
+     * @param {boolean} options.coerce Set to false to keep every value as a string, as FormData does. Otherwise number and range fields become numbers, date and datetime-local fields become Dates, a lone checkbox without a value attribute becomes true or false, and empty number and date fields become null.
+     * @returns {object}
+     */
+    static FormToObject(form, {coerce = true} = {}) {
+
+        let result = {};
+
+        for (const field of HTML.#FormFields(form)) {
+
+            if (field.matches(":disabled")) continue;
+
+            const value = HTML.#FormFieldValue(form, field, coerce);
+
+            if (value === undefined) continue;
+
+            HTML.#SetFormPath(result, field.name, value);
+        }
+
+        return result;
+    }
+
+    /**
+     * Fills the fields of a form from an object, using the same field naming rules as FormToObject(). Fields with no corresponding value in the object are left unchanged; file inputs are never changed. The form's resulting state becomes the baseline for GetDirtyFields().
+     * @param {HTMLFormElement} form The form to be populated.
+     * @param {object} obj The values to be filled in.
+     */
+    static PopulateForm(form, obj) {
+
+        // Occurrence counts let repeated fields take successive array items
+        let occurrences = {};
+
+        for (const field of HTML.#FormFields(form)) {
+
+            const index = occurrences[field.name] = Objects.ValueWithDefault(occurrences[field.name], -1) + 1;
+            const takesArray = HTML.#IsCheckable(field) || field.multiple;
+            let value = obj;
+
+            for (const segment of HTML.#FormPath(field.name)) {
+                if (segment !== "") {
+                    value = value?.[segment];
+                }
+            }
+
+            if (Array.isArray(value) && !takesArray) {
+                value = value[index];
+            }
+
+            if (value === undefined) continue;
+
+            HTML.#SetFormFieldValue(field, value);
+        }
+
+        HTML.#FormBaselines.set(form, HTML.FormToObject(form));
+    }
+
+    /**
+     * Gets the names of fields whose values differ from the form's state when PopulateForm() was last called (or from an empty form, if it has not been called).
+     * @param {HTMLFormElement} form The form to be evaluated.
+     * @returns {string[]} The names of the changed fields.
+     */
+    static GetDirtyFields(form) {
+
+        const baseline = Objects.ValueWithDefault(HTML.#FormBaselines.get(form), {});
+        const current = HTML.FormToObject(form);
+
+        let dirtyFields = [];
+
+        for (const field of HTML.#FormFields(form)) {
+
+            if (dirtyFields.includes(field.name)) continue;
+
+            // Compare at the deepest path that identifies the field, stopping at "[]"
+            let path = HTML.#FormPath(field.name);
+
+            if (path.includes("")) {
+                path = path.slice(0, path.indexOf(""));
+            }
+
+            if (!Objects.DeepEqual(Objects.Get(baseline, path), Objects.Get(current, path))) {
+                dirtyFields.push(field.name);
+            }
+        }
+
+        return dirtyFields;
+    }
+
+    /**
+     * Determines if any field differs from the form's state when PopulateForm() was last called.
+     * @param {HTMLFormElement} form The form to be evaluated.
+     * @returns {boolean}
+     */
+    static IsFormDirty(form) {
+        return HTML.GetDirtyFields(form).length > 0;
+    }
+
+    static #FormBaselines = new WeakMap();
+
+    static #FormFields(form) {
+        return Array.from(form.elements).filter((field) =>
+            field.name && ["input", "select", "textarea"].includes(field.localName) && !["submit", "button", "reset", "image"].includes(field.type)
+        );
+    }
+
+    static #IsCheckable(field) {
+        return field.type === "checkbox" || field.type === "radio";
+    }
+
+    // Splits "items[0].qty" into ["items", 0, "qty"]; "[]" becomes "" meaning append
+    static #FormPath(name) {
+        return Array.from(name.matchAll(/([^.[\]]+)|\[(\d*)]/g), (match) => {
+
+            if (match[1] !== undefined) return match[1];
+
+            return match[2] === "" ? "" : Number(match[2]);
+        });
+    }
+
+    static #SetFormPath(obj, name, value) {
+
+        const segments = HTML.#FormPath(name);
+        let container = obj;
+
+        for (let i = 0; i < segments.length; i++) {
+
+            const segment = segments[i];
+            const isLast = i === segments.length - 1;
+
+            if (segment === "") {
+
+                if (isLast) {
+                    container.push(value);
+                    return;
+                }
+
+                container.push(typeof segments[i + 1] === 'number' || segments[i + 1] === "" ? [] : {});
+                container = container[container.length - 1];
+                continue;
+            }
+
+            if (isLast) {
+
+                // Repeated names collect their values into an array, as FormData.getAll() does
+                if (segment in container && !Array.isArray(container[segment])) {
+                    container[segment] = [container[segment], value];
+                } else if (segment in container) {
+                    container[segment].push(value);
+                } else {
+                    container[segment] = value;
+                }
+
+                return;
+            }
+
+            if (!Objects.isObject(container[segment])) {
+                container[segment] = typeof segments[i + 1] === 'number' || segments[i + 1] === "" ? [] : {};
+            }
+
+            container = container[segment];
+        }
+    }
+
+    static #FormFieldValue(form, field, coerce) {
+
+        if (field.type === "checkbox") {
+
+            const isLone = !field.name.endsWith("[]") && !field.hasAttribute("value")
+                && Array.from(form.elements).filter((other) => other.name === field.name).length === 1;
+
+            if (coerce && isLone) return field.checked;
+
+            return field.checked ? field.value : undefined;
+        }
+
+        if (field.type === "radio") {
+            return field.checked ? field.value : undefined;
+        }
+
+        if (field.type === "file") {
+            return field.multiple ? Array.from(field.files) : Objects.ValueWithDefault(field.files[0], null);
+        }
+
+        if (field.localName === "select" && field.multiple) {
+            return Array.from(field.selectedOptions, (option) => option.value);
+        }
+
+        if (!coerce) return field.value;
+
+        if (field.type === "number" || field.type === "range") {
+            return field.value === "" ? null : Number(field.value);
+        }
+
+        if (field.type === "date" || field.type === "datetime-local") {
+
+            if (field.value === "") return null;
+
+            // Date-only strings are parsed as UTC, so build the date in local time to match datetime-local
+            return field.type === "date" ? new Date(`${field.value}T00:00`) : new Date(field.value);
+        }
+
+        return field.value;
+    }
+
+    static #SetFormFieldValue(field, value) {
+
+        if (field.type === "file") return;
+
+        if (field.type === "checkbox") {
+            if (Array.isArray(value)) {
+                field.checked = value.map((item) => `${item}`).includes(field.value);
+            } else if (typeof value === 'boolean') {
+                field.checked = value;
+            } else {
+                field.checked = value != null && `${value}` === field.value;
+            }
+
+            return;
+        }
+
+        if (field.type === "radio") {
+            field.checked = value != null && `${value}` === field.value;
+            return;
+        }
+
+        if (field.localName === "select" && field.multiple) {
+
+            const values = [value].flat().map((item) => `${item}`);
+
+            for (const option of field.options) {
+                option.selected = values.includes(option.value);
+            }
+
+            return;
+        }
+
+        if (value instanceof Date) {
+
+            const pad = (n) => `${n}`.padStart(2, "0");
+            const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+
+            field.value = field.type === "date" ? date : `${date}T${pad(value.getHours())}:${pad(value.getMinutes())}`;
+            return;
+        }
+
+        field.value = value == null ? "" : `${value}`;
+    }
+
+    /**
+     * Renders a long list inside a scrollable container, creating elements only for the rows in view (plus a few either side) and reusing them as the list scrolls. Rows may vary in height: each rendered row is measured with a ResizeObserver, and rows not yet measured are assumed to be of the estimated size.
+     * @param {HTMLElement} container The scrollable element hosting the list. Its existing content is replaced.
+     * @param {object} options
+     * @param {Array} options.items The items to be listed.
+     * @param {function(*, number): object} options.itemTemplate Returns a Create()-style descriptor for an item and its index. Rows scrolled into view take over the elements of rows scrolled out of view, updated with Patch().
+     * @param {number|function(*, number): number} options.estimateSize The expected height of a row in pixels, or a function returning it for an item and its index.
+     * @param {number} options.overscan The number of rows rendered beyond each edge of the visible area.
+     * @param {function(*, number): *} options.getKey Returns an identity for an item, so that measured heights follow items reordered by SetItems(). Defaults to the index.
+     * @returns {{SetItems: function(Array), ScrollToIndex: function(number, object), Refresh: function(), Dispose: function()}} SetItems() replaces the items, updating only the rows in view whose item changed. ScrollToIndex(index, {align, behavior}) scrolls a row into view, where align is "auto" (the default), "start", "center" or "end". Refresh() re-renders the rows in view after items are modified in place. Dispose() removes the list; it is also called by Dispose() on the container.
+     */
+    static VirtualList(container, {items = [], itemTemplate, estimateSize = 40, overscan = 5, getKey = null} = {}) {
+
+        if (typeof itemTemplate !== 'function') {
+            throw new TypeError("VirtualList() requires an itemTemplate function.");
+        }
+
+        const win = HTML.#Window(container);
+        const doc = HTML.#Document(container);
+
+        const keyOf = (index) => getKey == null ? index : getKey(items[index], index);
+        const estimate = (index) => typeof estimateSize === 'function' ? estimateSize(items[index], index) : estimateSize;
+
+        // Heights are remembered by key, and row positions are derived from them when next needed
+        let measured = new Map();
+        let offsets = null;
+
+        // Rendered rows by index, and rows awaiting reuse
+        let rows = new Map();
+        let pool = [];
+
+        const rowStates = new WeakMap();
+        const listeners = new win.AbortController();
+
+        let frameRequested = false;
+        let disposed = false;
+
+        const spacer = doc.createElement("div");
+
+        spacer.style.position = "relative";
+        container.replaceChildren(spacer);
+
+        if (win.getComputedStyle(container).overflowY === "visible") {
+            container.style.overflowY = "auto";
+        }
+
+        const layout = () => {
+
+            if (offsets != null) return offsets;
+
+            offsets = new Float64Array(items.length + 1);
+
+            for (let i = 0; i < items.length; i++) {
+                offsets[i + 1] = offsets[i] + Objects.ValueWithDefault(measured.get(keyOf(i)), estimate(i));
+            }
+
+            spacer.style.height = `${offsets[items.length]}px`;
+
+            return offsets;
+        };
+
+        // The index of the row at a vertical position within the list
+        const indexAt = (y) => {
+
+            let low = 0;
+            let high = Math.max(items.length - 1, 0);
+
+            while (low < high) {
+
+                const mid = (low + high + 1) >> 1;
+
+                if (offsets[mid] <= y) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+
+            return low;
+        };
+
+        const viewportTop = () => Math.max(0, container.scrollTop - spacer.offsetTop);
+
+        const createRow = () => {
+
+            const row = doc.createElement("div");
+
+            Object.assign(row.style, {position: "absolute", top: "0", left: "0", right: "0"});
+
+            spacer.append(row);
+            observer?.observe(row);
+
+            return row;
+        };
+
+        const render = () => {
+
+            frameRequested = false;
+
+            if (disposed) return;
+
+            layout();
+
+            const top = viewportTop();
+            const first = Math.max(0, indexAt(top) - overscan);
+            const last = items.length < 1 ? 0 : Math.min(items.length, indexAt(top + container.clientHeight) + 1 + overscan);
+
+            for (const [index, row] of rows) {
+                if (index < first || index >= last) {
+                    rows.delete(index);
+                    pool.push(row);
+                }
+            }
+
+            for (let index = first; index < last; index++) {
+
+                let row = rows.get(index);
+
+                if (row === undefined) {
+                    row = pool.length > 0 ? pool.pop() : createRow();
+                    rows.set(index, row);
+                }
+
+                const state = rowStates.get(row);
+
+                // Rows are only patched when they now show a different item
+                if (state === undefined || state.index !== index || state.item !== items[index]) {
+                    HTML.#PatchChildren(row, [itemTemplate(items[index], index)]);
+                    rowStates.set(row, {index: index, item: items[index]});
+                }
+
+                row.hidden = false;
+                row.style.top = `${offsets[index]}px`;
+            }
+
+            // Rows left over are hidden until the next scroll needs them
+            for (const row of pool) {
+                row.hidden = true;
+                rowStates.set(row, {index: -1, item: undefined});
+            }
+        };
+
+        const requestRender = () => {
+
+            if (frameRequested) return;
+
+            frameRequested = true;
+
+            if (typeof win.requestAnimationFrame === 'function') {
+                win.requestAnimationFrame(render);
+            } else {
+                setTimeout(render, 0);
+            }
+        };
+
+        const observer = typeof win.ResizeObserver !== 'function' ? null : new win.ResizeObserver((entries) => {
+
+            layout();
+
+            const top = viewportTop();
+            let scrollAdjustment = 0;
+            let changed = false;
+
+            for (const entry of entries) {
+
+                if (entry.target === container) {
+                    changed = true;
+                    continue;
+                }
+
+                const state = rowStates.get(entry.target);
+
+                if (state === undefined || state.index < 0 || state.index >= items.length) continue;
+
+                const size = Objects.ValueWithDefault(entry.borderBoxSize?.[0]?.blockSize, entry.target.offsetHeight);
+                const previousSize = offsets[state.index + 1] - offsets[state.index];
+
+                measured.set(keyOf(state.index), size);
+
+                if (size === previousSize) continue;
+
+                changed = true;
+
+                // Rows above the viewport changing size would otherwise shift the rows in view
+                if (offsets[state.index] < top) {
+                    scrollAdjustment += size - previousSize;
+                }
+            }
+
+            if (!changed) return;
+
+            offsets = null;
+
+            if (scrollAdjustment !== 0) {
+                container.scrollTop += scrollAdjustment;
+            }
+
+            requestRender();
+        });
+
+        observer?.observe(container);
+        container.addEventListener("scroll", requestRender, {passive: true, signal: listeners.signal});
+
+        const dispose = () => {
+
+            if (disposed) return;
+
+            disposed = true;
+            listeners.abort();
+            observer?.disconnect();
+
+            for (const row of [...rows.values(), ...pool]) {
+                HTML.Dispose(row);
+            }
+
+            rows.clear();
+            pool = [];
+            spacer.remove();
+        };
+
+        HTML.#AddDisposer(container, dispose);
+
+        render();
+
+        return {
+
+            SetItems: (newItems) => {
+
+                items = Array.from(newItems);
+                offsets = null;
+
+                // Heights measured by index no longer apply to the rows beyond the end
+                if (getKey == null) {
+                    for (const index of measured.keys()) {
+                        if (index >= items.length) measured.delete(index);
+                    }
+                }
+
+                render();
+            },
+
+            ScrollToIndex: (index, {align = "auto", behavior = "auto"} = {}) => {
+
+                if (items.length < 1) return;
+
+                index = Math.min(Math.max(index, 0), items.length - 1);
+
+                layout();
+
+                const start = spacer.offsetTop + offsets[index];
+                const size = offsets[index + 1] - offsets[index];
+                const viewportHeight = container.clientHeight;
+
+                let scrollTop = start;
+
+                if (align === "center") {
+                    scrollTop = start - (viewportHeight - size) / 2;
+                } else if (align === "end" || (align === "auto" && start + size > container.scrollTop + viewportHeight)) {
+                    scrollTop = start + size - viewportHeight;
+                } else if (align === "auto" && start >= container.scrollTop) {
+                    return;
+                }
+
+                scrollTop = Math.max(0, scrollTop);
+
+                if (behavior !== "auto" && typeof container.scrollTo === 'function') {
+                    container.scrollTo({top: scrollTop, behavior: behavior});
+                } else {
+                    container.scrollTop = scrollTop;
+                }
+
+                render();
+            },
+
+            Refresh: () => {
+
+                for (const row of rows.values()) {
+                    rowStates.delete(row);
+                }
+
+                offsets = null;
+                render();
+            },
+
+            Dispose: dispose,
+        };
+    }
+
+    /**
+     * Renders an interactive table of rows into a container, with multi-column sorting, a search box, column filters, paging, row selection and grid keyboard navigation (arrow keys, Home/End, Ctrl+Home/End, PageUp/PageDown, and Space or Enter to sort or select). Changes are applied with Patch(), so focus and typing are not interrupted.
+     * @param {HTMLElement} container The element the table is rendered into. Its existing content is replaced.
+     * @param {object} options
+     * @param {Array.<object>} options.rows The rows to be shown.
+     * @param {Array.<object>} options.columns The columns, each of the form {key, header, cell, comparator, filter, sortable}. key is the property path of the row value shown (see Objects.Get()). header is a string or descriptor, defaulting to the key. cell(value, row) returns a string or descriptor for the cell. comparator(a, b) replaces Objects.Compare() when sorting by the column. filter adds a filter box to the column: either true, for a case-insensitive text match, or a function(value, query, row) returning true for rows to keep. Set sortable to false to prevent sorting by the column.
+     * @param {Array.<{key: string, direction: string}>} options.sort The initial sort, in order of priority. Clicking a header sorts by its column, cycling through ascending, descending and unsorted; shift-clicking adds the column to the existing sort.
+     * @param {boolean} options.search Set to false to omit the search box, which keeps rows whose text in any column contains the query.
+     * @param {number} options.pageSize The number of rows per page, or 0 to show every row.
+     * @param {boolean|string} options.selectable Set to "multiple" (or true) or "single" to add a selection checkbox to each row.
+     * @param {function(object, number): *} options.getRowKey Returns an identity for a row, so that selection survives SetRows() with new row objects. Defaults to the row's index.
+     * @param {function(Array.<object>)} options.onSelectionChange Called with the selected rows whenever the user changes the selection.
+     * @param {string|string[]} options.locale The locale(s) used to sort and match text.
+     * @param {string} options.caption An optional caption for the table.
+     * @param {object} options.labels Text overriding any of the defaults: search, filter(columnName), previous, next, selectAll, selectRow, empty and status(page, pageCount, rowCount).
+     * @returns {{SetRows: function(Array.<object>), SetSort: function(Array.<object>), SetFilter: function(string, Object.<string, string>), SetPage: function(number), GetRows: function(): Array.<object>, GetSelectedRows: function(): Array.<object>, SetSelectedRows: function(Array.<object>), Dispose: function()}} SetFilter() sets the search query and the column filters (by column key). GetRows() returns the rows remaining after filtering, in sorted order, across every page. Dispose() removes the table; it is also called by Dispose() on the container.
+     */
+    static DataTable(container, {rows = [], columns, sort = [], search = true, pageSize = 25, selectable = false, getRowKey = null, onSelectionChange = null, locale = undefined, caption = null, labels = {}} = {}) {
+
+        if (!Array.isArray(columns) || columns.length < 1) {
+            throw new TypeError("DataTable() requires an array of columns.");
+        }
+
+        labels = Objects.Merge(HTML.#DataTableLabels, labels);
+
+        const multiple = selectable === true || selectable === "multiple";
+        const selectionColumns = selectable ? 1 : 0;
+        const lastColumn = columns.length + selectionColumns - 1;
+
+        const state = {rows: Array.from(rows), sort: Array.from(sort), query: "", columnFilters: {}, page: 0, selected: new Set(), focus: {row: -1, column: 0}};
+
+        // Rows remaining after filtering and sorting, and those on the current page
+        let view = [];
+        let pageRows = [];
+        let pageCount = 1;
+
+        let rowKeys = new Map();
+
+        const indexRows = () => rowKeys = new Map(state.rows.map((row, index) => [row, getRowKey == null ? index : getRowKey(row, index)]));
+        const isSelected = (row) => state.selected.has(rowKeys.get(row));
+        const textOf = (value) => value == null ? "" : `${value}`.toLocaleLowerCase(locale);
+        const columnName = (column) => typeof column.header === 'string' ? column.header : `${column.key}`;
+
+        const refreshView = () => {
+
+            const query = textOf(state.query.trim());
+
+            const filtered = state.rows.filter((row) => {
+
+                if (query.length > 0 && !columns.some((column) => textOf(Objects.Get(row, column.key)).includes(query))) {
+                    return false;
+                }
+
+                return columns.every((column) => {
+
+                    const columnQuery = Objects.ValueWithDefault(state.columnFilters[column.key], "");
+                    const value = Objects.Get(row, column.key);
+
+                    if (!column.filter || columnQuery === "") return true;
+
+                    return typeof column.filter === 'function' ? column.filter(value, columnQuery, row) : textOf(value).includes(textOf(columnQuery));
+                });
+            });
+
+            view = Objects.SortBy(filtered, state.sort.map(({key, direction}) => ({
+                key: (row) => Objects.Get(row, key),
+                direction: direction,
+                compare: Objects.ValueWithDefault(columns.find((column) => column.key === key)?.comparator, null),
+            })), {locale: locale});
+
+            pageCount = pageSize > 0 ? Math.max(1, Math.ceil(view.length / pageSize)) : 1;
+            state.page = Math.min(Math.max(state.page, 0), pageCount - 1);
+            pageRows = pageSize > 0 ? view.slice(state.page * pageSize, (state.page + 1) * pageSize) : view;
+            state.focus.row = Math.min(state.focus.row, pageRows.length - 1);
+        };
+
+        // Only the focused cell is in the tab order; the arrow keys move focus between cells
+        const cellAttributes = (row, column) => ({
+            "data-row": `${row}`,
+            "data-column": `${column}`,
+            tabindex: state.focus.row === row && state.focus.column === column ? "0" : "-1",
+        });
+
+        const describeHeader = () => {
+
+            let cells = [];
+
+            if (selectable) {
+                cells.push({tag: "th", attributes: Objects.Merge(cellAttributes(-1, 0), {scope: "col"}), children: multiple ? [{
+                    tag: "input",
+                    attributes: {type: "checkbox", tabindex: "-1", "aria-label": labels.selectAll, "data-select": "all"},
+                    properties: {checked: pageRows.length > 0 && pageRows.every(isSelected)},
+                }] : []});
+            }
+
+            columns.forEach((column, i) => {
+
+                const sortIndex = state.sort.findIndex(({key}) => key === column.key);
+                const direction = sortIndex < 0 ? null : state.sort[sortIndex].direction === "desc" ? "descending" : "ascending";
+
+                let attributes = Objects.Merge(cellAttributes(-1, i + selectionColumns), {scope: "col"});
+                let children = [Objects.ValueWithDefault(column.header, `${column.key}`)];
+
+                // Only the primary sort column is announced, as ARIA recommends
+                if (sortIndex === 0) {
+                    attributes["aria-sort"] = direction;
+                }
+
+                if (sortIndex >= 0) {
+                    children.push({
+                        tag: "span",
+                        attributes: {class: "data-table-sort", "aria-hidden": "true"},
+                        text: `${direction === "descending" ? "▼" : "▲"}${state.sort.length > 1 ? sortIndex + 1 : ""}`,
+                    });
+                }
+
+                cells.push({tag: "th", attributes: attributes, children: children});
+            });
+
+            let headerRows = [{tag: "tr", attributes: {"aria-rowindex": "1"}, children: cells}];
+
+            if (columns.some((column) => column.filter)) {
+                headerRows.push({tag: "tr", attributes: {class: "data-table-filters"}, children: [
+                    ...(selectable ? [{tag: "td"}] : []),
+                    ...columns.map((column) => ({tag: "td", children: column.filter ? [{
+                        tag: "input",
+                        attributes: {type: "search", "aria-label": labels.filter(columnName(column)), "data-filter": `${column.key}`},
+                        properties: {value: Objects.ValueWithDefault(state.columnFilters[column.key], "")},
+                    }] : []})),
+                ]});
+            }
+
+            return {tag: "thead", children: headerRows};
+        };
+
+        const describeBody = () => {
+
+            if (pageRows.length < 1) {
+                return {tag: "tbody", children: [{tag: "tr", children: [{tag: "td", attributes: {colspan: `${lastColumn + 1}`}, text: labels.empty}]}]};
+            }
+
+            const firstRowIndex = pageSize > 0 ? state.page * pageSize : 0;
+
+            return {tag: "tbody", children: pageRows.map((row, r) => {
+
+                const selected = isSelected(row);
+
+                let cells = [];
+
+                if (selectable) {
+                    cells.push({tag: "td", attributes: cellAttributes(r, 0), children: [{
+                        tag: "input",
+                        attributes: {type: "checkbox", tabindex: "-1", "aria-label": labels.selectRow, "data-select": `${r}`},
+                        properties: {checked: selected},
+                    }]});
+                }
+
+                columns.forEach((column, i) => {
+
+                    const value = Objects.Get(row, column.key);
+
+                    cells.push({
+                        tag: "td",
+                        attributes: cellAttributes(r, i + selectionColumns),
+                        children: [typeof column.cell === 'function' ? column.cell(value, row) : value == null ? "" : `${value}`],
+                    });
+                });
+
+                let attributes = {"aria-rowindex": `${firstRowIndex + r + 2}`};
+
+                if (selectable) {
+                    attributes["aria-selected"] = `${selected}`;
+                }
+
+                return {tag: "tr", key: rowKeys.get(row), attributes: attributes, children: cells};
+            })};
+        };
+
+        const describe = () => {
+
+            let tableAttributes = {role: "grid", "aria-rowcount": `${view.length + 1}`, "aria-colcount": `${lastColumn + 1}`};
+
+            if (multiple) {
+                tableAttributes["aria-multiselectable"] = "true";
+            }
+
+            let children = [];
+
+            if (search) {
+                children.push({
+                    tag: "input",
+                    attributes: {type: "search", class: "data-table-search", placeholder: labels.search, "aria-label": labels.search, "data-filter": "*"},
+                    properties: {value: state.query},
+                });
+            }
+
+            children.push({tag: "table", attributes: tableAttributes, children: [
+                ...(caption != null ? [{tag: "caption", text: caption}] : []),
+                describeHeader(),
+                describeBody(),
+            ]});
+
+            if (pageSize > 0) {
+                children.push({tag: "div", attributes: {class: "data-table-pager"}, children: [
+                    {tag: "button", attributes: {type: "button", "data-page": "previous"}, properties: {disabled: state.page <= 0}, text: labels.previous},
+                    {tag: "span", attributes: {"aria-live": "polite"}, text: labels.status(state.page + 1, pageCount, view.length)},
+                    {tag: "button", attributes: {type: "button", "data-page": "next"}, properties: {disabled: state.page >= pageCount - 1}, text: labels.next},
+                ]});
+            }
+
+            return {tag: "div", attributes: {class: "data-table"}, events: events, children: children};
+        };
+
+        const render = () => {
+            refreshView();
+            HTML.#PatchChildren(container, [describe()]);
+        };
+
+        const focusCell = () => container.querySelector(`[data-row="${state.focus.row}"][data-column="${state.focus.column}"]`)?.focus();
+
+        const toggleSort = (columnIndex, additive) => {
+
+            const column = columns[columnIndex - selectionColumns];
+
+            if (column == null || column.sortable === false) return;
+
+            const current = state.sort.find(({key}) => key === column.key);
+            const direction = current == null ? "asc" : current.direction === "desc" ? null : "desc";
+
+            if (!additive) {
+                state.sort = direction == null ? [] : [{key: column.key, direction: direction}];
+            } else if (current == null) {
+                state.sort = [...state.sort, {key: column.key, direction: direction}];
+            } else {
+                state.sort = state.sort
+                    .map((entry) => entry === current ? {key: column.key, direction: direction} : entry)
+                    .filter((entry) => entry.direction != null);
+            }
+
+            state.page = 0;
+            render();
+        };
+
+        const setSelected = (changedRows, selected) => {
+
+            if (selected && !multiple) {
+                state.selected.clear();
+            }
+
+            for (const row of changedRows) {
+                if (selected) {
+                    state.selected.add(rowKeys.get(row));
+                } else {
+                    state.selected.delete(rowKeys.get(row));
+                }
+            }
+
+            render();
+            onSelectionChange?.(getSelectedRows());
+        };
+
+        const toggleRow = (r) => pageRows[r] !== undefined && setSelected([pageRows[r]], !isSelected(pageRows[r]));
+        const toggleAll = () => multiple && setSelected(pageRows, !pageRows.every(isSelected));
+        const getSelectedRows = () => state.rows.filter(isSelected);
+
+        const setPage = (page) => {
+            state.page = page;
+            render();
+        };
+
+        const onClick = (event) => {
+
+            const target = event.target;
+            const pageButton = target.closest("[data-page]");
+
+            if (pageButton != null) {
+                setPage(state.page + (pageButton.dataset.page === "next" ? 1 : -1));
+                return;
+            }
+
+            const cell = target.closest("[data-row]");
+
+            if (cell == null) return;
+
+            state.focus = {row: Number(cell.dataset.row), column: Number(cell.dataset.column)};
+
+            const checkbox = target.closest("[data-select]");
+
+            if (checkbox != null) {
+                checkbox.dataset.select === "all" ? toggleAll() : toggleRow(Number(checkbox.dataset.select));
+            } else if (state.focus.row === -1) {
+                toggleSort(state.focus.column, event.shiftKey);
+            } else {
+                render();
+            }
+        };
+
+        const onKeyDown = (event) => {
+
+            const cell = event.target.closest("[data-row]");
+
+            // Keys typed into the search and filter boxes are left alone
+            if (cell == null || (event.target.localName === "input" && event.target.type !== "checkbox")) return;
+
+            let row = Number(cell.dataset.row);
+            let column = Number(cell.dataset.column);
+
+            const lastRow = pageRows.length - 1;
+
+            switch (event.key) {
+                case "ArrowRight": column = Math.min(column + 1, lastColumn); break;
+                case "ArrowLeft": column = Math.max(column - 1, 0); break;
+                case "ArrowDown": row = Math.min(row + 1, lastRow); break;
+                case "ArrowUp": row = Math.max(row - 1, -1); break;
+                case "Home": column = 0; row = event.ctrlKey ? -1 : row; break;
+                case "End": column = lastColumn; row = event.ctrlKey ? lastRow : row; break;
+                case "PageDown": state.page++; break;
+                case "PageUp": state.page--; break;
+                case " ":
+                case "Enter":
+                    break;
+                default:
+                    return;
+            }
+
+            event.preventDefault();
+            state.focus = {row: row, column: column};
+
+            if ((event.key === " " || event.key === "Enter") && row === -1) {
+                selectable && column === 0 ? toggleAll() : toggleSort(column, event.shiftKey);
+            } else if (event.key === " " && selectable) {
+                toggleRow(row);
+            } else {
+                render();
+            }
+
+            focusCell();
+        };
+
+        const onInput = (event) => {
+
+            const filter = event.target.dataset?.filter;
+
+            if (filter == null) return;
+
+            if (filter === "*") {
+                state.query = event.target.value;
+            } else {
+                state.columnFilters[filter] = event.target.value;
+            }
+
+            state.page = 0;
+            render();
+        };
+
+        const events = {click: onClick, keydown: onKeyDown, input: onInput};
+
+        const dispose = () => {
+
+            if (container.firstElementChild != null) {
+                HTML.Dispose(container.firstElementChild);
+            }
+
+            container.replaceChildren();
+        };
+
+        HTML.#AddDisposer(container, dispose);
+
+        indexRows();
+        render();
+
+        return {
 
-        let tempDiv = document.createElement('div');
+            SetRows: (newRows) => {
+                state.rows = Array.from(newRows);
+                indexRows();
+                render();
+            },
 
-        tempDiv.innerHTML = htmlString.trim();
+            SetSort: (newSort) => {
+                state.sort = Array.from(newSort);
+                render();
+            },
 
-        let children = [];
+            SetFilter: (query, columnFilters = {}) => {
+                state.query = `${Objects.ValueWithDefault(query, "")}`;
+                state.columnFilters = Objects.Merge(columnFilters);
+                state.page = 0;
+                render();
+            },
 
-        let node = tempDiv.firstChild;
+            SetPage: (page) => setPage(page),
 
-        children.push(node);
+            GetRows: () => Array.from(view),
 
-        while (node.nextElementSibling != null) {
-            children.push(node.nextSibling);
-            node = node.nextSibling;
-        }
+            GetSelectedRows: getSelectedRows,
 
-        return children;
+            SetSelectedRows: (selectedRows) => {
+                state.selected = new Set(Array.from(selectedRows, (row) => rowKeys.get(row)).filter((key) => key !== undefined));
+                render();
+            },
+
+            Dispose: dispose,
+        };
     }
 
-    static #ObjectToElement(obj, subs, parentElement = null) {
+    static #DataTableLabels = {
+        search: "Search",
+        filter: (columnName) => `Filter by ${columnName}`,
+        previous: "Previous",
+        next: "Next",
+        selectAll: "Select all rows on this page",
+        selectRow: "Select row",
+        empty: "No matching rows",
+        status: (page, pageCount, rowCount) => `Page ${page} of ${pageCount} (${rowCount} rows)`,
+    };
 
-        const PreProcessedKeys = {
-            style: "style",
-            attributes: "attributes",
-        };
+    /**
+     * Checks an element (and its descendants) for common accessibility problems: images without alternative text, form controls without a label, unknown ARIA roles and attributes (including ID references to missing elements), duplicate IDs, and focusable elements hidden from the accessibility tree with aria-hidden.
+     * @param {Element|Document|ShadowRoot|DocumentFragment} root The element or document to be checked. Defaults to the current document.
+     * @description This is a quick static check rather than a replacement for testing with assistive technology. Each issue has one of the rule IDs image-alt, label, aria-role, aria-attribute, duplicate-id or focusable-hidden.
+     * @returns {Array.<{rule: string, element: Element, message: string}>} The issues found, in document order.
+     */
+    static AuditAccessibility(root = HTML.#Document()) {
 
-        function subst(value) {
+        let issues = [];
 
-            if (typeof value === 'string') {
-                if (value in subs) {
-                    return subs[value];
-                }
-            } else if (value instanceof HTMLElement) {
-                return value;
-            } else if (typeof value === 'object') {
-                for (const key in value) {
-                    // Only attempt here. Attributes/properties may be read-only
-                    try {
-                        value[key] = subst(value[key]);
-                    } catch {}
-                }
-            }
+        const report = (rule, element, message) => issues.push({rule: rule, element: element, message: message});
+        const elements = [...(HTML.#IsElement(root) ? [root] : []), ...root.querySelectorAll("*")];
+        const rootNode = root.getRootNode();
 
-            return value;
-        }
+        // Detached subtrees have no getElementById()
+        const findById = (id) => typeof rootNode.getElementById === 'function'
+            ? rootNode.getElementById(id)
+            : [rootNode, ...rootNode.querySelectorAll("[id]")].find((element) => element.id === id) ?? null;
 
-        // HTMLCollections cannot be created, so a host element is required for manipulation
-        if (parentElement == null) {
-            parentElement = document.createElement("div");
-        }
+        const hasName = (element) => Objects.ValueWithDefault(element.getAttribute("aria-label"), "").trim().length > 0
+            || Objects.ValueWithDefault(element.getAttribute("title"), "").trim().length > 0
+            || `${Objects.ValueWithDefault(element.getAttribute("aria-labelledby"), "")}`.split(/\s+/).some((id) => id.length > 0 && findById(id) != null)
+            || element.labels?.length > 0;
 
-        // Ensure substitution dictionary is available
-        if (subs == null) {
-            subs = {};
-        }
+        let seenIds = new Set();
 
-        // Exit early
-        if (obj instanceof HTMLElement) {
-            parentElement.append(obj);
-            return parentElement;
-        }
+        for (const element of elements) {
 
-        if (obj == null) {
-            return parentElement;
-        }
+            const tag = element.localName;
+            const role = element.getAttribute("role");
+            const isPresentation = role === "none" || role === "presentation";
 
-        if (Array.isArray(obj)) {
-            for (let i = 0; i < obj.length; i++) {
-                HTML.#ObjectToElement(obj[i], subs, parentElement);
+            // image-alt
+            if ((tag === "img" && !isPresentation) || (tag === "input" && element.type === "image") || (tag === "area" && element.hasAttribute("href"))) {
+                if (!element.hasAttribute("alt") && !hasName(element)) {
+                    report("image-alt", element, `<${tag}> has no alt text`);
+                }
             }
 
-            return parentElement;
-        }
-
-        // Merge Style and Attributes When Both Are specified
-        let attributes = {};
-        let style = {};
+            // label
+            if ((tag === "input" && !["hidden", "submit", "reset", "button", "image"].includes(element.type)) || tag === "select" || tag === "textarea") {
+                if (!hasName(element)) {
+                    report("label", element, `<${tag}${tag === "input" ? ` type="${element.type}"` : ""}> has no label`);
+                }
+            }
 
-        if (PreProcessedKeys.attributes in obj) {
-            attributes = subst(obj[PreProcessedKeys.attributes]);
-        }
+            // aria-role
+            if (role != null && !role.trim().split(/\s+/).some((token) => HTML.#AriaRoles.has(token.toLowerCase()))) {
+                report("aria-role", element, `role="${role}" is not a valid ARIA role`);
+            }
 
-        if (PreProcessedKeys.style in obj) {
-            style = subst(obj[PreProcessedKeys.style]);
-        }
+            // aria-attribute
+            for (const attribName of element.getAttributeNames()) {
 
-        if (PreProcessedKeys.style in attributes) {
+                if (!attribName.startsWith("aria-")) continue;
 
-            const inlineStyle = HTML.StyleRuleToObject(HTML.ObjectToStyleRule(attributes[PreProcessedKeys.style]));
+                const property = attribName.substring("aria-".length);
 
-            Object.assign(inlineStyle, style);
+                if (!HTML.#AriaProperties.has(property)) {
+                    report("aria-attribute", element, `${attribName} is not a valid ARIA attribute`);
+                } else if (HTML.#AriaReferenceProperties.has(property)) {
+                    for (const id of element.getAttribute(attribName).split(/\s+/).filter((id) => id.length > 0)) {
+                        if (findById(id) == null) {
+                            report("aria-attribute", element, `${attribName} refers to a missing element with ID "${id}"`);
+                        }
+                    }
+                }
+            }
 
-            delete attributes[PreProcessedKeys.attributes];
-        }
+            // duplicate-id
+            if (element.id.length > 0) {
+                if (seenIds.has(element.id)) {
+                    report("duplicate-id", element, `The ID "${element.id}" is used more than once`);
+                }
 
-        // Process Pre-processed Keys
-        for (let attribName in attributes) {
-            parentElement.setAttribute(attribName, `${attributes[attribName]}`);
-        }
+                seenIds.add(element.id);
+            }
 
-        if (Object.keys(style).length > 0) {
-            HTML.SetStyle(parentElement, style);
+            // focusable-hidden
+            if (HTML.#IsTabbable(element) && element.closest("[aria-hidden='true']") != null) {
+                report("focusable-hidden", element, `<${tag}> can receive focus but is hidden by aria-hidden`);
+            }
         }
 
-        // Process Other Keys
-        for (const key in obj) {
+        return issues;
+    }
 
-            if (Object.keys(PreProcessedKeys).includes(key)) continue;
+    static #IsTabbable(element) {
 
-            let value = subst(obj[key]);
+        if (element.closest("[hidden], [inert]") != null || element.disabled === true) return false;
 
-            if (key === "children") {
+        const tabIndex = element.getAttribute("tabindex");
 
-                for (let i = 0; i < value.length; i++) {
-                    HTML.#ObjectToElement(value[i], subs, parentElement);
-                }
+        if (tabIndex != null) return parseInt(tabIndex, 10) >= 0;
 
-            } else if (key === "properties") {
+        const tag = element.localName;
 
-                for (let propName in value) {
-                    parentElement[propName] = value[propName];
-                }
+        return (["a", "area"].includes(tag) && element.hasAttribute("href"))
+            || (tag === "input" && element.type !== "hidden")
+            || ["button", "select", "textarea", "iframe", "summary"].includes(tag)
+            || element.isContentEditable === true
+            || element.getAttribute("contenteditable") === "true"
+            || element.getAttribute("contenteditable") === "";
+    }
 
-            } else if (key === "events") {
+    /**
+     * Gets the minimum and maximum numeric z-indexes of a parent element's children using computed styles.
+     * @param parentElement The parent element to evaluate for z-indexes.
+     * @returns {{min: number, max: number}}
+     */
+    static GetZIndexRange(parentElement) {
 
-                for (let eventName in value) {
-                    parentElement.addEventListener(eventName, value[eventName]);
-                }
+        const InitialMinZIndex = Infinity;
+        const InitialMaxZIndex = -Infinity;
 
-            } else if (key === "inlineModifier") {
+        let minZIndex = InitialMinZIndex;
+        let maxZIndex = InitialMaxZIndex;
+        let allElements = parentElement.getElementsByTagName('*');
 
-                value(parentElement);
+        for (let i = 0; i < allElements.length; i++) {
 
-            } else if (key === "text") {
+            let zIndex = parseFloat(HTML.#Window(parentElement).getComputedStyle(allElements[i]).zIndex);
 
-                    parentElement.append(HTML.CreateTextNode(value));
+            if (!isNaN(zIndex) && zIndex < minZIndex) {
+                minZIndex = zIndex;
+            }
 
-            } else {
-                parentElement.append(HTML.#ObjectToElement(value, subs, document.createElement(key)));
+            if (!isNaN(zIndex) && zIndex > maxZIndex) {
+                maxZIndex = zIndex;
             }
         }
 
-        return parentElement;
+        if (minZIndex === InitialMinZIndex) {
+            minZIndex = 0;
+        }
+
+        if (maxZIndex === InitialMaxZIndex) {
+            maxZIndex = 0;
+        }
+
+        return {min: minZIndex, max: maxZIndex};
     }
 
     /**
-     * Converts a JavaScript object into an array of HTMLElements.
-     * @param {object} obj Object containing specific keys or other objects that will be used to generate HTML elements.
-     * @return HTMLElement[]
+     * Defines (or redefines) a named layer: a band of z-indexes reserved for elements managed by SetLayer(), BringToFront() and SendToBack(). The layers "default" (1-999), "dropdown" (1000-1999), "modal" (2000-2999) and "toast" (3000-3999) are predefined.
+     * @param {string} name The name of the layer.
+     * @param {number} min The lowest z-index in the band.
+     * @param {number} max The highest z-index in the band.
      */
-    static FromObject(obj) {
+    static DefineLayer(name, min, max) {
 
-        // This function expects arrays only.
-        if (!Array.isArray(obj)) {
-            obj = [obj];
+        if (!(min <= max)) {
+            throw new RangeError(`Layer "${name}" must have a minimum z-index no greater than its maximum.`);
         }
 
-        let elementList = [];
+        HTML.#Layers[name] = {min: min, max: max};
+    }
 
-        for (let i = 0; i < obj.length; i++) {
+    /**
+     * Moves an element into a named layer, in front of the other managed elements of that layer within the same stacking context. Statically positioned elements are made position: relative so their z-index takes effect.
+     * @param {HTMLElement} element The element to be layered.
+     * @param {string} layerName The name of a layer (see DefineLayer()).
+     */
+    static SetLayer(element, layerName) {
+        HTML.BringToFront(element, layerName);
+    }
 
-            let childObj = obj[i];
+    /**
+     * Places an element in front of the other managed elements of its layer that share its stacking context.
+     * @param {HTMLElement} element The element to be moved.
+     * @param {string} layerName The layer to use. Defaults to the element's current layer, or "default" for an unmanaged element.
+     */
+    static BringToFront(element, layerName = null) {
+        HTML.#MoveInLayer(element, layerName, true);
+    }
 
-            if (typeof childObj === 'object') {
+    /**
+     * Places an element behind the other managed elements of its layer that share its stacking context.
+     * @param {HTMLElement} element The element to be moved.
+     * @param {string} layerName The layer to use. Defaults to the element's current layer, or "default" for an unmanaged element.
+     */
+    static SendToBack(element, layerName = null) {
+        HTML.#MoveInLayer(element, layerName, false);
+    }
 
-                if ("tag" in childObj) {
+    /**
+     * Stops managing an element's layer and removes the z-index that was assigned to it.
+     * @param {HTMLElement} element The element to be released.
+     */
+    static ReleaseLayer(element) {
 
-                    // Substitute children for actual HTMLElements
-                    if ("children" in childObj && !(childObj.children[0] instanceof HTMLElement)) {
-                        childObj.children = HTML.FromObject(childObj.children);
-                    }
+        for (const context of [HTML.GetStackingContext(element), ...HTML.#StackingContextsOf(element)]) {
 
-                    elementList.push(HTML.Create(childObj));
-                }
+            const group = HTML.#LayerGroups.get(context);
+
+            if (group?.delete(element)) {
+                element.style.removeProperty("z-index");
             }
         }
 
-        return elementList;
+        HTML.#ManagedContexts.delete(element);
     }
 
     /**
-     * Creates an HTML element for the specified tag. Note: the element is not added to the document.
-     * @param {string} tag The HTML element type (tag) to be created.
-     * @param {Object.<string, object>} attributes An object whose keys will be used to set attributes of the element, such as HREF or SRC. Note that a Style attribute can be passed in as an object, but all other attributes will be handled as strings.
-     * @param {Object.<string, any>} style An object whose keys will be used to set style declarations of the element. This parameter can be included in the attributes object, and if style declarations are specified here and also in the attributes parameter, the style declarations will be merged, with the `style` parameter's declarations taking priority.
-     * @param {Object.<string, object>} properties An object whose keys will be used to set properties of the element, such as innerHTML or innerText.
-     * @param {Array.<HTMLElement>} children An array of HTMLElements which will be registered as child elements for the new element.
-     * @param {HTMLElementEventMap} events An object whose keys will be used to create event listeners for the new element.
-     * @param {function(HTMLElement)} inlineModifier A callback allowing custom in-line modification of the element. One example use is to grab a reference to the specific element rather than having to create the element externally and pass it in.
-     * @returns {HTMLElement}
+     * Gets the element forming the stacking context within which an element's z-index is compared: the nearest ancestor (crossing shadow root boundaries) that creates a stacking context, or the document element.
+     * @param {Element} element The element to be evaluated.
+     * @returns {Element}
      */
-    static Create({tag, attributes = null, style = null, properties = null, children = null, events = null, inlineModifier = null}) {
-
-        const styleKey = "style";
+    static GetStackingContext(element) {
 
-        // Provide Default Parameters
-        if (attributes === undefined || attributes == null) {
-            attributes = {};
-        }
+        let ancestor = HTML.#ComposedParent(element);
 
-        if (!(style === undefined || style == null)) {
+        const root = HTML.#Document(element).documentElement;
 
-            // If present in attributes as well, merge Style object into Attributes Style object
-            if (styleKey in attributes) {
+        while (ancestor != null && ancestor !== root) {
 
-                attributes[styleKey] = HTML.StyleRuleToObject(HTML.ObjectToStyleRule(attributes[styleKey]));
+            if (HTML.#CreatesStackingContext(ancestor)) return ancestor;
 
-                Object.assign(attributes[styleKey], style);
-            } else {
-                attributes[styleKey] = style;
-            }
+            ancestor = HTML.#ComposedParent(ancestor);
         }
 
-        if (properties === undefined || properties == null) {
-            properties = {};
-        }
+        return root;
+    }
 
-        if (children === undefined || children == null) {
-            children = [];
-        }
+    static #Layers = {
+        default: {min: 1, max: 999},
+        dropdown: {min: 1000, max: 1999},
+        modal: {min: 2000, max: 2999},
+        toast: {min: 3000, max: 3999},
+    };
 
-        if (events === undefined || events == null) {
-            // noinspection JSValidateTypes
-            events = {};
-        }
+    // Managed elements grouped by stacking context, each mapped to its layer name and z-index
+    static #LayerGroups = new WeakMap();
 
-        // Generate element and set configuration
-        let element = document.createElement(tag);
+    static #ManagedContexts = new WeakMap();
 
-        for (let attribName in attributes) {
+    static #StackingContextsOf(element) {
+        return Objects.ValueWithDefault(HTML.#ManagedContexts.get(element), []);
+    }
 
-            if (attribName.toLowerCase() === styleKey) {
-                element.setAttribute(attribName, HTML.ObjectToStyleRule(attributes[attribName]));
-            } else {
-                element.setAttribute(attribName, `${attributes[attribName]}`);
-            }
-        }
+    static #MoveInLayer(element, layerName, toFront) {
 
-        for (let propName in properties) {
-            element[propName] = properties[propName];
-        }
+        const context = HTML.GetStackingContext(element);
 
-        for (let childIndex = 0; childIndex < children.length; childIndex++) {
-            if (children[childIndex] != null) {
-                element.append(children[childIndex]);
+        // The element may have moved to a different stacking context since it was last managed
+        for (const previousContext of HTML.#StackingContextsOf(element)) {
+            if (previousContext !== context) {
+                HTML.#LayerGroups.get(previousContext)?.delete(element);
             }
         }
 
-        for (let eventName in events) {
-            element.addEventListener(eventName, events[eventName]);
-        }
+        HTML.#ManagedContexts.set(element, [context]);
 
-        if (inlineModifier !== undefined && inlineModifier !== null) {
-            inlineModifier(element);
+        if (!HTML.#LayerGroups.has(context)) {
+            HTML.#LayerGroups.set(context, new Map());
         }
 
-        return element;
-    }
+        const group = HTML.#LayerGroups.get(context);
 
-    /**
-     * Converts a Style-rule string into an object representing Style declarations.
-     * @param styleString The style-rule string containing styling declarations.
-     * @returns {{}} An object representing Style declarations.
-     */
-    static StyleRuleToObject(styleString) {
+        layerName = Objects.ValueWithDefault(layerName, Objects.ValueWithDefault(group.get(element)?.layer, "default"));
 
-        let styleObj = {};
+        const layer = HTML.#Layers[layerName];
 
-        if (styleString.length < 1) return styleObj;
+        if (layer === undefined) {
+            throw new Error(`Layer "${layerName}" has not been defined.`);
+        }
 
-        let inQuote = false;
+        // Forget elements that are no longer in the document, or no longer in this context
+        for (const managed of Array.from(group.keys())) {
+            if (!managed.isConnected || (managed !== element && HTML.GetStackingContext(managed) !== context)) {
+                group.delete(managed);
+            }
+        }
 
-        // Extract Declarations
-        let declaration = [];
-        let key = "";
+        group.delete(element);
 
-        for (let i = 0; i < styleString.length; i++) {
+        const peers = Array.from(group.entries()).filter(([, state]) => state.layer === layerName);
+        const zIndexes = peers.map(([, state]) => state.zIndex);
 
-            const c = styleString[i];
+        let zIndex = toFront
+            ? Math.max(layer.min - 1, ...zIndexes) + 1
+            : Math.min(layer.max + 1, ...zIndexes) - 1;
+
+        group.set(element, {layer: layerName, zIndex: zIndex});
 
-            if (c === "\"") {
-                inQuote = !inQuote;
+        // Renumber the layer from its minimum when the band is exhausted
+        if (zIndex > layer.max || zIndex < layer.min) {
+
+            const ordered = [...peers.map(([managed]) => managed)]
+                .sort((a, b) => group.get(a).zIndex - group.get(b).zIndex);
+
+            if (toFront) {
+                ordered.push(element);
+            } else {
+                ordered.unshift(element);
             }
 
-            if (c === ":" && key.length < 1) {
-                key = declaration.join("").trim();
-                declaration = [];
-                continue;
+            if (ordered.length > layer.max - layer.min + 1) {
+                throw new RangeError(`Layer "${layerName}" cannot hold more than ${layer.max - layer.min + 1} elements in one stacking context.`);
             }
 
-            if (c === ";" && !inQuote) {
+            ordered.forEach((managed, index) => {
+                group.get(managed).zIndex = layer.min + index;
+                HTML.#ApplyZIndex(managed, layer.min + index);
+            });
 
-                if (key.length > 0) {
-                    styleObj[key] = declaration.join("").trim();
-                }
+            return;
+        }
 
-                key = "";
-                declaration = [];
+        HTML.#ApplyZIndex(element, zIndex);
+    }
 
-            } else {
-                declaration.push(c);
-            }
-        }
+    static #ApplyZIndex(element, zIndex) {
 
-        if (key.length > 0) {
-            styleObj[key] = declaration.join("").trim();
+        if (HTML.#Window(element).getComputedStyle(element).position === "static") {
+            element.style.position = "relative";
         }
 
-        return styleObj;
+        element.style.zIndex = `${zIndex}`;
     }
 
-    /**
-     * Converts an object representing Style declarations into a Style-rule string.
-     * @param styleObj The object containing style declarations. If this parameter is not an object, the parameter is returned immediately, with the assumption it is already a string formatted as a style rule.
-     * @returns {*|string} A style-rule string consisting of style declarations separated by semicolons.
-     */
-    static ObjectToStyleRule(styleObj) {
-
-        if (!Objects.isObject(styleObj)) return styleObj;
+    static #ComposedParent(element) {
 
-        let sb = [];
+        if (element.parentElement != null) return element.parentElement;
 
-        for (let styleAttrib in styleObj) {
-            sb.push(`${styleAttrib}: ${styleObj[styleAttrib]};`);
-        }
+        const root = element.getRootNode();
 
-        return sb.join(" ");
+        return HTML.#IsShadowRoot(root) ? root.host : null;
     }
 
-    /**
-     * Gets the minimum and maximum numeric z-indexes of a parent element's children using computed styles.
-     * @param parentElement The parent element to evaluate for z-indexes.
-     * @returns {{min: number, max: number}}
-     */
-    static GetZIndexRange(parentElement) {
+    static #CreatesStackingContext(element) {
 
-        const InitialMinZIndex = 32000;
-        const InitialMaxZIndex = -32000;
+        const win = HTML.#Window(element);
+        const style = win.getComputedStyle(element);
+        const isNone = (value) => value == null || value === "" || value === "none";
 
-        let minZIndex = InitialMinZIndex;
-        let maxZIndex = InitialMaxZIndex;
-        let allElements = parentElement.getElementsByTagName('*');
+        if (style.position === "fixed" || style.position === "sticky") return true;
 
-        for (let i = 0; i < allElements.length; i++) {
+        if (style.zIndex !== "auto" && style.zIndex !== "") {
 
-            let zIndex = parseFloat(window.getComputedStyle(allElements[i]).zIndex);
+            if (style.position !== "static") return true;
 
-            if (!isNaN(zIndex) && zIndex < minZIndex) {
-                minZIndex = zIndex;
-            }
+            // Flex and grid items with a z-index form a stacking context without being positioned
+            const parent = HTML.#ComposedParent(element);
 
-            if (!isNaN(zIndex) && zIndex > maxZIndex) {
-                maxZIndex = zIndex;
-            }
+            if (parent != null && /(^|-)(flex|grid)$/.test(win.getComputedStyle(parent).display)) return true;
         }
 
-        if (minZIndex === InitialMinZIndex) {
-            minZIndex = 0;
-        }
+        if (style.opacity !== "" && parseFloat(style.opacity) < 1) return true;
 
-        if (maxZIndex === InitialMaxZIndex) {
-            maxZIndex = 0;
+        if (!isNone(style.transform) || !isNone(style.filter) || !isNone(style.perspective) || !isNone(style.clipPath)
+            || !isNone(style.mask) || !isNone(style.backdropFilter) || !isNone(style.translate) || !isNone(style.rotate) || !isNone(style.scale)) {
+            return true;
         }
 
-        return {min: minZIndex, max: maxZIndex};
+        if (style.isolation === "isolate") return true;
+
+        if (style.mixBlendMode !== "" && style.mixBlendMode !== "normal" && style.mixBlendMode != null) return true;
+
+        if (/\b(layout|paint|strict|content)\b/.test(Objects.ValueWithDefault(style.contain, ""))) return true;
+
+        if (/\b(size|inline-size)\b/.test(Objects.ValueWithDefault(style.containerType, ""))) return true;
+
+        return /\b(transform|opacity|filter|perspective|isolation|mix-blend-mode|clip-path|mask|z-index|position)\b/.test(Objects.ValueWithDefault(style.willChange, ""));
     }
 
     /**
@@ -20,6 +20,113 @@ export class Objects {
         return newObject;
     }
 
+    /**
+     * Deeply merges a source object into a copy of a target object. Neither object is modified. Plain objects are merged recursively, Maps are merged by key and Sets are combined; any other value in the source replaces the target's value. Undefined source values are ignored.
+     * @param {object} target The object to be merged into.
+     * @param {object} source The object whose values take priority.
+     * @param {object} options
+     * @param {string|function(Array, Array): Array} options.arrays How arrays present in both objects are combined: "replace" (the default) uses the source array, "concat" appends the source items to the target items, "merge" deeply merges items at the same index, and "mergeByKey" deeply merges items having the same key (see arrayKey), appending the rest. A function receives the target and source arrays and returns the result.
+     * @param {string|function(*): *} options.arrayKey The property (or a function returning the value) identifying array items for "mergeByKey". Defaults to "id".
+     * @param {function(*): *} options.customizer Passed to DeepClone() when copying values.
+     * @returns {object} The merged copy.
+     */
+    static DeepMerge(target, source, {arrays = "replace", arrayKey = "id", customizer = null} = {}) {
+
+        const options = {arrays: arrays, arrayKey: arrayKey, customizer: customizer};
+
+        return Objects.#DeepMerge(Objects.DeepClone(target, {customizer: customizer}), source, options);
+    }
+
+    static #DeepMerge(target, source, options) {
+
+        const clone = (value) => Objects.DeepClone(value, {customizer: options.customizer});
+
+        if (source === undefined) return target;
+
+        if (Array.isArray(target) && Array.isArray(source)) {
+
+            if (typeof options.arrays === 'function') {
+                return options.arrays(target, clone(source));
+            }
+
+            switch (options.arrays) {
+
+                case "concat":
+                    return [...target, ...clone(source)];
+
+                case "merge":
+                    return source.map((item, index) => index < target.length ? Objects.#DeepMerge(target[index], item, options) : clone(item))
+                        .concat(target.slice(source.length));
+
+                case "mergeByKey": {
+
+                    const keyOf = typeof options.arrayKey === 'function' ? options.arrayKey : (item) => item?.[options.arrayKey];
+                    let result = [...target];
+
+                    for (const item of source) {
+
+                        const key = keyOf(item);
+                        const index = key === undefined ? -1 : result.findIndex((existing) => keyOf(existing) === key);
+
+                        if (index < 0) {
+                            result.push(clone(item));
+                        } else {
+                            result[index] = Objects.#DeepMerge(result[index], item, options);
+                        }
+                    }
+
+                    return result;
+                }
+
+                default:
+                    return clone(source);
+            }
+        }
+
+        if (target instanceof Map && source instanceof Map) {
+
+            for (const [key, value] of source) {
+                target.set(key, target.has(key) ? Objects.#DeepMerge(target.get(key), value, options) : clone(value));
+            }
+
+            return target;
+        }
+
+        if (target instanceof Set && source instanceof Set) {
+
+            for (const member of source) {
+                target.add(clone(member));
+            }
+
+            return target;
+        }
+
+        if (Objects.#IsPlainObject(target) && Objects.#IsPlainObject(source)) {
+
+            for (const key of Reflect.ownKeys(source)) {
+                if (Object.prototype.propertyIsEnumerable.call(source, key) && !Objects.#UnsafeKeys.includes(key)) {
+                    target[key] = Object.hasOwn(target, key) ? Objects.#DeepMerge(target[key], source[key], options) : clone(source[key]);
+                }
+            }
+
+            return target;
+        }
+
+        return clone(source);
+    }
+
+    // Keys which reach a prototype when assigned or followed, and so could be used to modify every object
+    static #UnsafeKeys = ["__proto__", "constructor", "prototype"];
+
+    static #IsPlainObject(value) {
+
+        if (!Objects.isObject(value)) return false;
+
+        const prototype = Object.getPrototypeOf(value);
+
+        return prototype === Object.prototype || prototype === null;
+    }
+
     /**
      * Creates a new object from an existing object using an entryMapper function to transform data.
      * @param {object} obj The object being "read".
@@ -43,7 +150,113 @@ export class Objects {
     }
 
     /**
-     * Copies properties of a source object into a destination object, overwriting if requested.
+     * Creates a deep copy of a value. Unlike Clone(), this preserves undefined, Dates, RegExps, Maps, Sets, ArrayBuffers, typed arrays, symbol keys, class instances (by prototype and own properties) and cyclic references. Functions, DOM nodes and WeakMaps/WeakSets are shared rather than copied.
+     * @param {*} value The value to be copied.
+     * @param {object} options
+     * @param {function(*): *} options.customizer Called for every object before it is copied. Returning anything other than undefined uses that as the copy, which allows class instances with private state to clone themselves.
+     * @returns {*} The copy.
+     */
+    static DeepClone(value, {customizer = null} = {}) {
+        return Objects.#DeepClone(value, customizer, new Map());
+    }
+
+    static #DeepClone(value, customizer, seen) {
+
+        if (!Objects.isObject(value)) return value;
+
+        if (seen.has(value)) return seen.get(value);
+
+        if (customizer != null) {
+
+            const custom = customizer(value);
+
+            if (custom !== undefined) {
+                seen.set(value, custom);
+                return custom;
+            }
+        }
+
+        const clone = (item) => Objects.#DeepClone(item, customizer, seen);
+
+        if (value instanceof WeakMap || value instanceof WeakSet || value instanceof Promise || (typeof value.nodeType === 'number' && typeof value.cloneNode === 'function')) {
+            return value;
+        }
+
+        if (value instanceof Date) return new Date(value.getTime());
+
+        if (value instanceof RegExp) {
+
+            const copy = new RegExp(value.source, value.flags);
+
+            copy.lastIndex = value.lastIndex;
+
+            return copy;
+        }
+
+        if (value instanceof ArrayBuffer) {
+
+            const copy = value.slice(0);
+
+            seen.set(value, copy);
+
+            return copy;
+        }
+
+        if (ArrayBuffer.isView(value)) {
+            return value instanceof DataView
+                ? new DataView(clone(value.buffer), value.byteOffset, value.byteLength)
+                : new value.constructor(clone(value.buffer), value.byteOffset, value.length);
+        }
+
+        if (value instanceof Map) {
+
+            const copy = new Map();
+
+            seen.set(value, copy);
+
+            for (const [key, item] of value) {
+                copy.set(clone(key), clone(item));
+            }
+
+            return copy;
+        }
+
+        if (value instanceof Set) {
+
+            const copy = new Set();
+
+            seen.set(value, copy);
+
+            for (const item of value) {
+                copy.add(clone(item));
+            }
+
+            return copy;
+        }
+
+        // Arrays, plain objects and class instances: copy own properties, keeping accessors as they are
+        const copy = Array.isArray(value) ? new Array(value.length) : Object.create(Object.getPrototypeOf(value));
+
+        seen.set(value, copy);
+
+        for (const key of Reflect.ownKeys(value)) {
+
+            const descriptor = Object.getOwnPropertyDescriptor(value, key);
+
+            if (Array.isArray(value) && key === "length") continue;
+
+            if ("value" in descriptor) {
+                descriptor.value = clone(descriptor.value);
+            }
+
+            Object.defineProperty(copy, key, descriptor);
+        }
+
+        return copy;
+    }
+
+    /**
+     * Copies properties of a source object into a destination object, overwriting if requested. Values are copied with DeepClone().
      * @param {object} source - Object to be copied FROM.
      * @param {object} destination - Object to be copied TO.
      * @param {boolean} overwrite - Whether to overwrite properties in the destination if they already exist.
@@ -52,7 +265,7 @@ export class Objects {
 
         overwrite = (overwrite === null ? false : overwrite);
 
-        let clone = this.Clone(source);
+        let clone = this.DeepClone(source);
 
         for (let propName in clone) {
 
@@ -120,23 +333,759 @@ export class Objects {
         }
     }
 
+    /**
+     * Gets a value from an object by path.
+     * @param {object} obj The object to be read.
+     * @param {string|Array.<(string|number)>} path A dotted path such as "a.b[2].c", or an array of keys such as ["a", "b", 2, "c"].
+     * @param {*} defaultValue The value to return if the path does not exist.
+     * @returns {*}
+     */
+    static Get(obj, path, defaultValue = undefined) {
+
+        let value = obj;
+
+        for (const segment of Objects.#ParsePath(path)) {
+
+            if (value == null || !(segment in Object(value))) return defaultValue;
+
+            value = value[segment];
+        }
+
+        return value;
+    }
+
+    /**
+     * Sets a value in an object by path, creating intermediate objects (or arrays, where the next key is numeric) as required. Paths containing __proto__, constructor or prototype are rejected.
+     * @param {object} obj The object to be modified.
+     * @param {string|Array.<(string|number)>} path A dotted path such as "a.b[2].c", or an array of keys.
+     * @param {*} value The value to be set.
+     * @returns {object} The object.
+     */
+    static Set(obj, path, value) {
+
+        const segments = Objects.#ParsePath(path);
+
+        if (segments.length < 1) {
+            throw new Error("A path is required to set a value.");
+        }
+
+        if (segments.some((segment) => Objects.#UnsafeKeys.includes(segment))) {
+            throw new Error(`The path "${segments.join(".")}" cannot be set, as it could modify a prototype.`);
+        }
+
+        let container = obj;
+
+        for (let i = 0; i < segments.length - 1; i++) {
+
+            if (!Objects.isObject(container[segments[i]])) {
+                container[segments[i]] = typeof segments[i + 1] === 'number' ? [] : {};
+            }
+
+            container = container[segments[i]];
+        }
+
+        container[segments[segments.length - 1]] = value;
+
+        return obj;
+    }
+
+    /**
+     * Determines if a path exists in an object.
+     * @param {object} obj The object to be evaluated.
+     * @param {string|Array.<(string|number)>} path A dotted path such as "a.b[2].c", or an array of keys.
+     * @returns {boolean}
+     */
+    static Has(obj, path) {
+
+        const missing = Symbol();
+
+        return Objects.Get(obj, path, missing) !== missing;
+    }
+
+    /**
+     * Deletes a value from an object by path. Array items are spliced out, so later items move down. Paths containing __proto__, constructor or prototype are rejected.
+     * @param {object} obj The object to be modified.
+     * @param {string|Array.<(string|number)>} path A dotted path such as "a.b[2].c", or an array of keys.
+     * @returns {boolean} Returns true if the path existed.
+     */
+    static Delete(obj, path) {
+
+        const segments = Objects.#ParsePath(path);
+
+        if (segments.some((segment) => Objects.#UnsafeKeys.includes(segment))) {
+            throw new Error(`The path "${segments.join(".")}" cannot be deleted, as it could modify a prototype.`);
+        }
+
+        if (segments.length < 1 || !Objects.Has(obj, segments)) return false;
+
+        const container = Objects.Get(obj, segments.slice(0, -1));
+        const key = segments[segments.length - 1];
+
+        if (Array.isArray(container) && /^\d+$/.test(`${key}`)) {
+            container.splice(Number(key), 1);
+        } else {
+            delete container[key];
+        }
+
+        return true;
+    }
+
+    /**
+     * Produces the RFC 6902 JSON Patch operations that transform one value into another.
+     * @param {*} a The original value.
+     * @param {*} b The desired value.
+     * @returns {Array.<{op: string, path: string, value: *}>} The operations, with values copied using DeepClone().
+     */
+    static Diff(a, b) {
+
+        let operations = [];
+
+        Objects.#Diff(a, b, "", operations);
+
+        return operations;
+    }
+
+    static #Diff(a, b, pointer, operations) {
+
+        if (Objects.DeepEqual(a, b)) return;
+
+        if (Array.isArray(a) && Array.isArray(b)) {
+
+            const common = Math.min(a.length, b.length);
+
+            for (let i = 0; i < common; i++) {
+                Objects.#Diff(a[i], b[i], `${pointer}/${i}`, operations);
+            }
+
+            // Remove from the end first so earlier indexes stay valid
+            for (let i = a.length - 1; i >= common; i--) {
+                operations.push({op: "remove", path: `${pointer}/${i}`});
+            }
+
+            for (let i = common; i < b.length; i++) {
+                operations.push({op: "add", path: `${pointer}/${i}`, value: Objects.DeepClone(b[i])});
+            }
+
+            return;
+        }
+
+        if (Objects.#IsPlainObject(a) && Objects.#IsPlainObject(b)) {
+
+            for (const key of Object.keys(a)) {
+                if (!Object.hasOwn(b, key)) {
+                    operations.push({op: "remove", path: `${pointer}/${Objects.#EscapePointer(key)}`});
+                }
+            }
+
+            for (const key of Object.keys(b)) {
+                if (Object.hasOwn(a, key)) {
+                    Objects.#Diff(a[key], b[key], `${pointer}/${Objects.#EscapePointer(key)}`, operations);
+                } else {
+                    operations.push({op: "add", path: `${pointer}/${Objects.#EscapePointer(key)}`, value: Objects.DeepClone(b[key])});
+                }
+            }
+
+            return;
+        }
+
+        operations.push({op: "replace", path: pointer, value: Objects.DeepClone(b)});
+    }
+
+    /**
+     * Applies RFC 6902 JSON Patch operations (add, remove, replace, move, copy and test) to an object in place. The patch is atomic: if any operation fails, including a test, every change already made is rolled back and an error is thrown.
+     * @param {object} obj The object to be patched.
+     * @param {Array.<{op: string, path: string, value: *, from: string}>} operations The operations to apply.
+     * @returns {*} The patched object, or the new value if an operation replaced the whole document (path "").
+     */
+    static ApplyPatch(obj, operations) {
+
+        let root = obj;
+        let undo = [];
+
+        const resolve = (segments) => segments.reduce((value, segment) => {
+
+            if (!Objects.isObject(value) || !Object.hasOwn(value, segment)) {
+                throw new Error(`path "/${segments.map(Objects.#EscapePointer).join("/")}" does not exist`);
+            }
+
+            return value[segment];
+
+        }, root);
+
+        const arrayIndex = (array, segment, allowEnd) => {
+
+            const index = segment === "-" && allowEnd ? array.length : /^(0|[1-9]\d*)$/.test(segment) ? Number(segment) : NaN;
+
+            if (isNaN(index) || index > array.length || (!allowEnd && index === array.length)) {
+                throw new Error(`"${segment}" is not a valid index`);
+            }
+
+            return index;
+        };
+
+        const add = (segments, value) => {
+
+            if (segments.length < 1) {
+
+                const previousRoot = root;
+
+                root = value;
+                undo.push(() => root = previousRoot);
+                return;
+            }
+
+            const parent = resolve(segments.slice(0, -1));
+            const key = segments[segments.length - 1];
+
+            if (Array.isArray(parent)) {
+
+                const index = arrayIndex(parent, key, true);
+
+                parent.splice(index, 0, value);
+                undo.push(() => parent.splice(index, 1));
+
+            } else if (Objects.#UnsafeKeys.includes(key)) {
+                throw new Error(`"${key}" cannot be set, as it could modify a prototype`);
+            } else if (Objects.isObject(parent)) {
+
+                const existed = Object.hasOwn(parent, key);
+                const previous = parent[key];
+
+                parent[key] = value;
+                undo.push(() => existed ? parent[key] = previous : delete parent[key]);
+
+            } else {
+                throw new Error(`the parent of "${key}" is not an object or array`);
+            }
+        };
+
+        const remove = (segments) => {
+
+            if (segments.length < 1) {
+                throw new Error("the whole document cannot be removed");
+            }
+
+            const parent = resolve(segments.slice(0, -1));
+            const key = segments[segments.length - 1];
+            const previous = resolve(segments);
+
+            if (Array.isArray(parent)) {
+
+                const index = arrayIndex(parent, key, false);
+
+                parent.splice(index, 1);
+                undo.push(() => parent.splice(index, 0, previous));
+
+            } else {
+                delete parent[key];
+                undo.push(() => parent[key] = previous);
+            }
+
+            return previous;
+        };
+
+        operations.forEach((operation, index) => {
+            try {
+
+                const segments = Objects.#ParsePointer(operation.path);
+
+                switch (operation.op) {
+
+                    case "add":
+                        add(segments, Objects.DeepClone(operation.value));
+                        break;
+
+                    case "remove":
+                        remove(segments);
+                        break;
+
+                    case "replace":
+                        resolve(segments);
+
+                        if (segments.length > 0) {
+                            remove(segments);
+                        }
+
+                        add(segments, Objects.DeepClone(operation.value));
+                        break;
+
+                    case "move": {
+
+                        const from = Objects.#ParsePointer(operation.from);
+
+                        if (segments.length > from.length && from.every((segment, i) => segments[i] === segment)) {
+                            throw new Error("a value cannot be moved into one of its own children");
+                        }
+
+                        add(segments, remove(from));
+                        break;
+                    }
+
+                    case "copy":
+                        add(segments, Objects.DeepClone(resolve(Objects.#ParsePointer(operation.from))));
+                        break;
+
+                    case "test":
+                        if (!Objects.DeepEqual(resolve(segments), operation.value)) {
+                            throw new Error("test failed");
+                        }
+
+                        break;
+
+                    default:
+                        throw new Error(`"${operation.op}" is not a valid operation`);
+                }
+
+            } catch (error) {
+
+                for (const revert of undo.reverse()) {
+                    revert();
+                }
+
+                throw new Error(`JSON Patch operation ${index} (${operation.op} "${operation.path}") failed: ${error.message}`, {cause: error});
+            }
+        });
+
+        return root;
+    }
+
+    // Splits "a.b[2].c" into ["a", "b", 2, "c"]
+    static #ParsePath(path) {
+
+        if (Array.isArray(path)) return path;
+
+        return Array.from(`${path}`.matchAll(/([^.[\]]+)|\[(\d+)]/g), (match) => match[1] !== undefined ? match[1] : Number(match[2]));
+    }
+
+    static #ParsePointer(pointer) {
+
+        if (pointer === "") return [];
+
+        if (typeof pointer !== 'string' || !pointer.startsWith("/")) {
+            throw new Error(`"${pointer}" is not a valid JSON Pointer`);
+        }
+
+        return pointer.substring(1).split("/").map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"));
+    }
+
+    static #EscapePointer(key) {
+        return `${key}`.replace(/~/g, "~0").replace(/\//g, "~1");
+    }
+
+    /**
+     * Makes an object observable. The returned deep Proxy behaves like the object, but every change made through it (at any depth) produces a change record of the form {type: "add"|"update"|"delete", path, oldValue, newValue}, where path is a string such as "items[0].qty". Records are delivered to subscribers (see Subscribe()) in batches, once per microtask, and each batch becomes one step of undo history (see Undo() and Redo()). Only plain objects and arrays are observed deeply.
+     * @param {object} obj The object to be observed. It should not be modified other than through the returned Proxy.
+     * @param {object} options
+     * @param {number} options.historyLimit The maximum number of undo steps kept.
+     * @returns {object} The observable Proxy.
+     */
+    static Observe(obj, {historyLimit = 100} = {}) {
+
+        const store = {
+            root: obj,
+            proxies: new WeakMap(),
+            subscribers: new Set(),
+            pending: [],
+            history: [],
+            future: [],
+            batch: null,
+            replaying: false,
+            historyLimit: historyLimit,
+        };
+
+        const proxy = Objects.#ObserveProxy(store, obj, []);
+
+        Objects.#Stores.set(proxy, store);
+
+        return proxy;
+    }
+
+    /**
+     * Subscribes to the change records of an observable created by Observe().
+     * @param {object} observable The observable Proxy.
+     * @param {string|function(Array.<object>)} pattern A path such as "user.address" or "items[0]", where "*" matches any single key (e.g. "user.*.city"). Changes at, below or above the path are delivered. May be omitted to receive every change.
+     * @param {function(Array.<object>)} callback Receives the matching change records of each batch.
+     * @returns {function()} A function that ends the subscription.
+     */
+    static Subscribe(observable, pattern, callback = null) {
+
+        if (typeof pattern === 'function') {
+            callback = pattern;
+            pattern = null;
+        }
+
+        const store = Objects.#GetStore(observable);
+        const patternSegments = pattern == null ? [] : Objects.#ParsePath(pattern).map((segment) => `${segment}`);
+
+        // A change is relevant when one path is a prefix of the other
+        const matches = (record) => record.segments
+            .slice(0, patternSegments.length)
+            .every((segment, i) => patternSegments[i] === "*" || patternSegments[i] === `${segment}`);
+
+        const subscriber = (records) => {
+
+            const matching = records.filter(matches);
+
+            if (matching.length > 0) {
+                callback(matching);
+            }
+        };
+
+        store.subscribers.add(subscriber);
+
+        return () => store.subscribers.delete(subscriber);
+    }
+
+    /**
+     * Reverts the most recent batch of changes made to an observable. Subscribers receive the resulting change records.
+     * @param {object} observable The observable Proxy.
+     * @returns {boolean} Returns false if there was nothing to undo.
+     */
+    static Undo(observable) {
+        return Objects.#Replay(Objects.#GetStore(observable), true);
+    }
+
+    /**
+     * Re-applies the most recently undone batch of changes to an observable.
+     * @param {object} observable The observable Proxy.
+     * @returns {boolean} Returns false if there was nothing to redo.
+     */
+    static Redo(observable) {
+        return Objects.#Replay(Objects.#GetStore(observable), false);
+    }
+
+    /**
+     * Gets a frozen deep copy of the current state of an observable.
+     * @param {object} observable The observable Proxy.
+     * @returns {object}
+     */
+    static Snapshot(observable) {
+        return Objects.#DeepFreeze(Objects.DeepClone(Objects.#GetStore(observable).root));
+    }
+
+    static #Stores = new WeakMap();
+
+    static #Observables = new WeakMap();
+
+    static #GetStore(observable) {
+
+        const store = Objects.#Stores.get(observable);
+
+        if (store === undefined) {
+            throw new TypeError("The value is not an observable created by Objects.Observe().");
+        }
+
+        return store;
+    }
+
+    static #ObserveProxy(store, target, segments) {
+
+        // Reuse one proxy per object, updating the path it was last reached by
+        let entry = store.proxies.get(target);
+
+        if (entry !== undefined) {
+            entry.segments = segments;
+            return entry.proxy;
+        }
+
+        entry = {segments: segments, proxy: null};
+
+        const pathTo = (key) => [...entry.segments, Array.isArray(target) && /^\d+$/.test(key) ? Number(key) : key];
+
+        entry.proxy = new Proxy(target, {
+
+            get(obj, key, receiver) {
+
+                const value = Reflect.get(obj, key, receiver);
+
+                if (typeof key === 'symbol' || !(Array.isArray(value) || Objects.#IsPlainObject(value))) {
+                    return value;
+                }
+
+                return Objects.#ObserveProxy(store, value, pathTo(key));
+            },
+
+            set(obj, key, value, receiver) {
+
+                value = Objects.ValueWithDefault(Objects.#Observables.get(value), value);
+
+                const existed = Object.hasOwn(obj, key);
+                const oldValue = obj[key];
+
+                if (!Reflect.set(obj, key, value, receiver)) return false;
+
+                if (typeof key !== 'symbol' && (!existed || !Object.is(oldValue, value))) {
+                    Objects.#Record(store, {type: existed ? "update" : "add", segments: pathTo(key), oldValue: oldValue, newValue: value});
+                }
+
+                return true;
+            },
+
+            deleteProperty(obj, key) {
+
+                if (!Object.hasOwn(obj, key)) return true;
+
+                const oldValue = obj[key];
+
+                if (!Reflect.deleteProperty(obj, key)) return false;
+
+                if (typeof key !== 'symbol') {
+                    Objects.#Record(store, {type: "delete", segments: pathTo(key), oldValue: oldValue, newValue: undefined});
+                }
+
+                return true;
+            },
+        });
+
+        store.proxies.set(target, entry);
+        Objects.#Observables.set(entry.proxy, target);
+
+        return entry.proxy;
+    }
+
+    static #Record(store, {type, segments, oldValue, newValue}) {
+
+        const record = {
+            type: type,
+            path: segments.map((segment, i) => typeof segment === 'number' ? `[${segment}]` : `${i > 0 ? "." : ""}${segment}`).join(""),
+            segments: segments,
+            oldValue: oldValue,
+            newValue: newValue,
+        };
+
+        // Changes made by Undo() and Redo() are not added to history themselves
+        if (!store.replaying) {
+
+            if (store.batch == null) {
+                store.batch = [];
+                store.history.push(store.batch);
+                store.future = [];
+
+                if (store.history.length > store.historyLimit) {
+                    store.history.shift();
+                }
+            }
+
+            // History keeps copies, so later changes to the values cannot alter it
+            store.batch.push(Objects.Merge(record, {oldValue: Objects.DeepClone(oldValue), newValue: Objects.DeepClone(newValue)}));
+        }
+
+        store.pending.push(record);
+
+        if (store.pending.length === 1) {
+            queueMicrotask(() => Objects.#Flush(store));
+        }
+    }
+
+    static #Flush(store) {
+
+        const records = store.pending;
+
+        store.pending = [];
+        store.batch = null;
+
+        if (records.length < 1) return;
+
+        for (const subscriber of Array.from(store.subscribers)) {
+            subscriber(records);
+        }
+    }
+
+    static #Replay(store, isUndo) {
+
+        // Close the current batch so it can be undone as a unit
+        store.batch = null;
+
+        const batch = (isUndo ? store.history : store.future).pop();
+
+        if (batch === undefined) return false;
+
+        const records = isUndo ? [...batch].reverse() : batch;
+
+        store.replaying = true;
+
+        try {
+            for (const record of records) {
+
+                const proxy = Objects.#ObserveProxy(store, store.root, []);
+                const container = Objects.Get(proxy, record.segments.slice(0, -1));
+                const key = record.segments[record.segments.length - 1];
+                const restoreMissing = isUndo ? record.type === "add" : record.type === "delete";
+
+                if (restoreMissing && Array.isArray(container) && key === container.length - 1) {
+                    // Removing the last item of an array should shorten it rather than leave a hole
+                    container.length = key;
+                } else if (restoreMissing) {
+                    delete container[key];
+                } else {
+                    container[key] = Objects.DeepClone(isUndo ? record.oldValue : record.newValue);
+                }
+            }
+        } finally {
+            store.replaying = false;
+        }
+
+        (isUndo ? store.future : store.history).push(batch);
+
+        return true;
+    }
+
+    static #DeepFreeze(value) {
+
+        if (Objects.isObject(value) && !Object.isFrozen(value)) {
+
+            Object.freeze(value);
+
+            for (const key of Reflect.ownKeys(value)) {
+                Objects.#DeepFreeze(value[key]);
+            }
+        }
+
+        return value;
+    }
+
     /**
      * Provides an array of entries from an object sorted by the property specified.
      * @param {object} obj - The object from which to extract the array of entries.
-     * @param {string} propertyName - The property to be used for the sort.
+     * @param {string|Array} propertyName - The property to be used for the sort, compared directly with < and >. Alternatively, an array of sort keys as accepted by SortBy(), applied to each entry's value.
+     * @param {object} options
+     * @param {string} options.direction "asc" (the default) or "desc", for keys that do not specify their own direction.
+     * @param {string|string[]} options.locale The locale(s) used to compare strings, when sorting by an array of sort keys.
      * @returns An array of key/value pairs ordered by the property specified. Example: [[key1, value1], [key2, value2], [keyN, valueN]]
      */
-    static SortObjectByProperty(obj, propertyName) {
+    static SortObjectByProperty(obj, propertyName, {direction = "asc", locale = undefined} = {}) {
+
+        if (!Array.isArray(propertyName)) {
+
+            const order = direction === "desc" ? -1 : 1;
 
-        // noinspection JSUnusedLocalSymbols
-        return Object.entries(obj).sort(
             // noinspection JSUnusedLocalSymbols
-            function([a,b], [c,d]) {
-                if (b[propertyName] > d[propertyName]) return 1;
-                if (b[propertyName] < d[propertyName]) return -1;
-                return 0;
+            return Object.entries(obj).sort(
+                // noinspection JSUnusedLocalSymbols
+                function([a,b], [c,d]) {
+                    if (b[propertyName] > d[propertyName]) return order;
+                    if (b[propertyName] < d[propertyName]) return -order;
+                    return 0;
+                }
+            );
+        }
+
+        const sortKeys = propertyName.map((sortKey) => {
+
+            let {key, ...options} = Objects.isObject(sortKey) ? sortKey : {key: sortKey, direction: direction};
+
+            if (typeof key === 'string' && key.startsWith("-")) {
+                key = key.slice(1);
+                options.direction = "desc";
             }
-        );
+
+            // Keys apply to the value of each [key, value] entry
+            return Objects.Merge(options, {key: (entry) => typeof key === 'function' ? key(entry[1]) : Objects.Get(entry[1], [key])});
+        });
+
+        return Objects.SortBy(Object.entries(obj), sortKeys, {locale: locale});
+    }
+
+    /**
+     * Provides a sorted copy of an array, ordered by one or more keys in either direction. The sort is stable, so items whose keys are equal keep their order.
+     * @param {Array} array The array to be sorted.
+     * @param {string|function|object|Array.<(string|function|object)>} keys The sort keys, in order of priority. Each is a property path (see Get()), prefixed with "-" for descending order; a function returning the value to sort on; or an object of the form {key, direction, compare}, where key is either of those, direction is "asc" or "desc", and compare(a, b) replaces Compare() for that key.
+     * @param {object} options
+     * @param {string|string[]} options.locale The locale(s) used to compare strings.
+     * @returns {Array} The sorted copy.
+     */
+    static SortBy(array, keys, {locale = undefined} = {}) {
+
+        const collator = Objects.#Collator(locale);
+
+        const comparers = [keys].flat().map((sortKey) => {
+
+            let {key, direction = "asc", compare = null} = Objects.isObject(sortKey) ? sortKey : {key: sortKey};
+
+            if (typeof key === 'string' && key.startsWith("-")) {
+                key = key.slice(1);
+                direction = "desc";
+            }
+
+            return {
+                getValue: typeof key === 'function' ? key : (item) => Objects.Get(item, key),
+                sign: direction === "desc" ? -1 : 1,
+                compare: compare,
+            };
+        });
+
+        // Values are read once per item rather than once per comparison
+        const decorated = Array.from(array, (item) => ({item: item, values: comparers.map((comparer) => comparer.getValue(item))}));
+
+        decorated.sort((a, b) => {
+
+            for (let i = 0; i < comparers.length; i++) {
+
+                const {sign, compare} = comparers[i];
+                const [valueA, valueB] = [a.values[i], b.values[i]];
+
+                // Missing values stay last in either direction unless a custom comparison decides otherwise
+                if (compare == null && (valueA == null) !== (valueB == null)) {
+                    return valueA == null ? 1 : -1;
+                }
+
+                const result = compare == null ? Objects.Compare(valueA, valueB, {collator: collator}) : compare(valueA, valueB);
+
+                if (result !== 0) return result * sign;
+            }
+
+            return 0;
+        });
+
+        return decorated.map(({item}) => item);
+    }
+
+    /**
+     * Compares two values for sorting. Numbers, bigints and Dates compare numerically and booleans compare false first; anything else compares as strings using locale-aware collation with numeric ordering, so "item 2" precedes "item 10". Null and undefined come last.
+     * @param a The first value.
+     * @param b The second value.
+     * @param {object} options
+     * @param {string|string[]} options.locale The locale(s) used to compare strings. Defaults to the runtime's locale.
+     * @param {Intl.Collator} options.collator A collator to use instead of one for the locale.
+     * @returns {number} Negative if a sorts first, positive if b sorts first, otherwise 0.
+     */
+    static Compare(a, b, {locale = undefined, collator = null} = {}) {
+
+        if (a == null || b == null) {
+            return (a == null ? 1 : 0) - (b == null ? 1 : 0);
+        }
+
+        if (a instanceof Date) a = a.getTime();
+        if (b instanceof Date) b = b.getTime();
+
+        const isNumeric = (value) => typeof value === 'number' || typeof value === 'bigint';
+
+        if (isNumeric(a) && isNumeric(b)) {
+
+            // NaN sorts after every number
+            if (a !== a || b !== b) return (a !== a ? 1 : 0) - (b !== b ? 1 : 0);
+
+            return a < b ? -1 : a > b ? 1 : 0;
+        }
+
+        if (typeof a === 'boolean' && typeof b === 'boolean') {
+            return Number(a) - Number(b);
+        }
+
+        return Objects.ValueWithDefault(collator, Objects.#Collator(locale)).compare(`${a}`, `${b}`);
+    }
+
+    static #Collators = new Map();
+
+    static #Collator(locale) {
+
+        const cacheKey = JSON.stringify(Objects.ValueWithDefault(locale, null));
+
+        if (!Objects.#Collators.has(cacheKey)) {
+            Objects.#Collators.set(cacheKey, new Intl.Collator(locale, {numeric: true}));
+        }
+
+        return Objects.#Collators.get(cacheKey);
     }
 
     /**
@@ -156,6 +1105,100 @@ export class Objects {
         );
     };
 
+    /**
+     * Determines if two values are structurally equal, using the same rules as DeepClone(): arrays, plain objects and class instances (which must share a prototype) are compared by their own enumerable properties, Maps and Sets by their entries, Dates by their time, RegExps by their source and flags, and typed arrays and ArrayBuffers by their bytes. NaN equals NaN. Cyclic structures are supported.
+     * @param a The first value.
+     * @param b The second value.
+     * @returns {boolean} Returns true if the values are equal.
+     */
+    static DeepEqual(a, b) {
+        return Objects.#DeepEqual(a, b, new Map());
+    }
+
+    static #DeepEqual(a, b, seen) {
+
+        if (a === b || (a !== a && b !== b)) return true;
+
+        if (!Objects.isObject(a) || !Objects.isObject(b) || Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+            return false;
+        }
+
+        // A pair already being compared further up is assumed equal, which resolves cycles. Finished pairs are forgotten, as a pair found unequal must not be assumed equal later.
+        if (seen.get(a)?.has(b)) return true;
+
+        if (!seen.has(a)) {
+            seen.set(a, new Set());
+        }
+
+        seen.get(a).add(b);
+
+        try {
+            return Objects.#DeepEqualObjects(a, b, seen);
+        } finally {
+            seen.get(a).delete(b);
+        }
+    }
+
+    static #DeepEqualObjects(a, b, seen) {
+
+        if (a instanceof Date) return a.getTime() === b.getTime();
+
+        if (a instanceof RegExp) return a.source === b.source && a.flags === b.flags;
+
+        if (a instanceof ArrayBuffer) {
+            return Objects.#DeepEqual(new Uint8Array(a), new Uint8Array(b), seen);
+        }
+
+        if (ArrayBuffer.isView(a)) {
+
+            const bytesA = new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+            const bytesB = new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+
+            return bytesA.length === bytesB.length && bytesA.every((byte, i) => byte === bytesB[i]);
+        }
+
+        if (a instanceof Map) {
+
+            if (a.size !== b.size) return false;
+
+            for (const [key, value] of a) {
+                if (!b.has(key) || !Objects.#DeepEqual(value, b.get(key), seen)) return false;
+            }
+
+            return true;
+        }
+
+        if (a instanceof Set) {
+
+            if (a.size !== b.size) return false;
+
+            // Object members have no identity in common, so each must find a distinct equal partner
+            let unmatched = Array.from(b).filter((member) => !a.has(member));
+
+            for (const member of a) {
+
+                if (b.has(member)) continue;
+
+                const index = unmatched.findIndex((candidate) => Objects.#DeepEqual(member, candidate, seen));
+
+                if (index < 0) return false;
+
+                unmatched.splice(index, 1);
+            }
+
+            return true;
+        }
+
+        if (Array.isArray(a) && a.length !== b.length) return false;
+
+        const keysA = Reflect.ownKeys(a).filter((key) => Object.prototype.propertyIsEnumerable.call(a, key));
+        const keysB = Reflect.ownKeys(b).filter((key) => Object.prototype.propertyIsEnumerable.call(b, key));
+
+        if (keysA.length !== keysB.length) return false;
+
+        return keysA.every((key) => Object.prototype.propertyIsEnumerable.call(b, key) && Objects.#DeepEqual(a[key], b[key], seen));
+    }
+
     /**
      * Determines if a value is an object.
      * @param value The value to be evaluated.
@@ -177,8 +1220,9 @@ export class Objects {
 
         let uniqueId = null;
 
-        if (window.isSecureContext) {
-            uniqueId = crypto.randomUUID();
+        // randomUUID() is only exposed in secure contexts, and crypto may be missing entirely outside the browser
+        if (typeof globalThis.crypto?.randomUUID === 'function' && globalThis.isSecureContext !== false) {
+            uniqueId = globalThis.crypto.randomUUID();
         } else {
             uniqueId = `${Date.now()}-${Math.random().toString(36).substring(2, 9)}`;
         }
@@ -0,0 +1,415 @@
+// noinspection JSUnusedGlobalSymbols
+
+"use strict";
+
+// The effect or computed value currently collecting its dependencies
+let activeReaction = null;
+
+// Effects invalidated while a batch is open are queued and run once each when the batch closes
+let batchDepth = 0;
+const pendingEffects = new Set();
+
+// An effect that writes to a signal it reads requeues itself on every pass, so flushing gives up after this many
+const maxFlushPasses = 100;
+
+function StartBatch() {
+    batchDepth++;
+}
+
+function EndBatch() {
+
+    if (batchDepth > 1) {
+        batchDepth--;
+        return;
+    }
+
+    // One failing effect must not stop the others, so errors are rethrown once every effect has run
+    let errors = [];
+
+    // Keep the batch open while flushing so effects that write to signals queue rather than recurse
+    try {
+
+        let passes = 0;
+
+        while (pendingEffects.size > 0) {
+
+            if (++passes > maxFlushPasses) {
+                pendingEffects.clear();
+                errors.push(new Error(`Effects were still being triggered after ${maxFlushPasses} passes. An effect may be writing to a signal it reads.`));
+                break;
+            }
+
+            const effects = Array.from(pendingEffects);
+
+            pendingEffects.clear();
+
+            for (const effect of effects) {
+                try {
+                    effect.Run();
+                } catch (error) {
+                    errors.push(error);
+                }
+            }
+        }
+    } finally {
+        batchDepth--;
+    }
+
+    if (errors.length === 1) {
+        throw errors[0];
+    }
+
+    if (errors.length > 1) {
+        throw new AggregateError(errors, `${errors.length} effects failed.`);
+    }
+}
+
+/**
+ * A reactive value. Reading `value` inside an effect or computed value subscribes it to changes.
+ */
+export class Signal {
+
+    #value;
+    #reactions = new Set();
+
+    /**
+     * @param {*} value The initial value.
+     */
+    constructor(value) {
+        this.#value = value;
+    }
+
+    /**
+     * The current value. Reading it registers a dependency for the active effect or computed value; writing it notifies dependents.
+     */
+    get value() {
+        this.Track();
+        return this.Peek();
+    }
+
+    set value(newValue) {
+        this.Set(newValue);
+    }
+
+    /**
+     * Gets the current value without registering a dependency.
+     * @returns {*}
+     */
+    Peek() {
+        return this.#value;
+    }
+
+    /**
+     * Sets the value, notifying dependents if it changed.
+     * @param {*} newValue
+     */
+    Set(newValue) {
+
+        if (Object.is(this.#value, newValue)) return;
+
+        this.#value = newValue;
+        this.Notify();
+    }
+
+    /**
+     * Sets the value using a function of the current value.
+     * @param {function(*): *} updater Receives the current value and returns the new value.
+     */
+    Update(updater) {
+        this.Set(updater(this.Peek()));
+    }
+
+    /**
+     * Calls a function whenever the value changes (but not immediately).
+     * @param {function(*)} callback Receives the new value.
+     * @returns {function()} A function that ends the subscription.
+     */
+    Subscribe(callback) {
+
+        let initialRun = true;
+
+        return Signals.Effect(() => {
+
+            const value = this.value;
+
+            if (initialRun) {
+                initialRun = false;
+                return;
+            }
+
+            Signals.Untracked(() => callback(value));
+        });
+    }
+
+    /**
+     * Registers the active reaction (if any) as a dependent. Used internally.
+     */
+    Track() {
+        if (activeReaction != null) {
+            this.#reactions.add(activeReaction);
+            activeReaction.sources.add(this);
+        }
+    }
+
+    /**
+     * Removes a dependent. Used internally.
+     * @param reaction The effect or computed value to remove.
+     */
+    Untrack(reaction) {
+        this.#reactions.delete(reaction);
+    }
+
+    /**
+     * Invalidates all dependents. Used internally.
+     */
+    Notify() {
+
+        StartBatch();
+
+        try {
+            for (const reaction of Array.from(this.#reactions)) {
+                reaction.Invalidate();
+            }
+        } finally {
+            EndBatch();
+        }
+    }
+}
+
+/**
+ * A read-only reactive value derived from other signals. It is recalculated lazily, the next time it is read after a dependency changes.
+ */
+export class Computed extends Signal {
+
+    #compute;
+    #value = undefined;
+    #dirty = true;
+
+    sources = new Set();
+
+    /**
+     * @param {function(): *} compute A function deriving the value from other signals.
+     */
+    constructor(compute) {
+        super(undefined);
+        this.#compute = compute;
+    }
+
+    get value() {
+        this.Track();
+        return this.Peek();
+    }
+
+    set value(newValue) {
+        this.Set(newValue);
+    }
+
+    Peek() {
+
+        if (this.#dirty) {
+
+            for (const source of this.sources) {
+                source.Untrack(this);
+            }
+
+            this.sources.clear();
+
+            const previousReaction = activeReaction;
+
+            activeReaction = this;
+
+            try {
+                this.#value = this.#compute();
+            } finally {
+                activeReaction = previousReaction;
+            }
+
+            this.#dirty = false;
+        }
+
+        return this.#value;
+    }
+
+    Set() {
+        throw new TypeError("A computed value cannot be set.");
+    }
+
+    /**
+     * Marks the value as stale and invalidates dependents. Used internally.
+     */
+    Invalidate() {
+        if (!this.#dirty) {
+            this.#dirty = true;
+            this.Notify();
+        }
+    }
+}
+
+class Effect {
+
+    #fn;
+    #cleanup = null;
+    #disposed = false;
+    #owner;
+    #children = new Set();
+
+    sources = new Set();
+
+    constructor(fn, owner = null) {
+        this.#fn = fn;
+        this.#owner = owner;
+        owner?.Adopt(this);
+    }
+
+    Adopt(child) {
+        this.#children.add(child);
+    }
+
+    Release(child) {
+        this.#children.delete(child);
+    }
+
+    Invalidate() {
+        if (!this.#disposed) {
+            pendingEffects.add(this);
+        }
+    }
+
+    Run() {
+
+        if (this.#disposed) return;
+
+        this.#Reset();
+
+        const previousReaction = activeReaction;
+
+        activeReaction = this;
+
+        try {
+            const cleanup = this.#fn();
+
+            if (typeof cleanup === 'function') {
+                this.#cleanup = cleanup;
+            }
+        } finally {
+            activeReaction = previousReaction;
+        }
+    }
+
+    Dispose() {
+        this.#disposed = true;
+        pendingEffects.delete(this);
+        this.#owner?.Release(this);
+        this.#owner = null;
+        this.#Reset();
+    }
+
+    #Reset() {
+
+        // Effects created by the last run are disposed before this one's own cleanup
+        for (const child of Array.from(this.#children)) {
+            child.Dispose();
+        }
+
+        for (const source of this.sources) {
+            source.Untrack(this);
+        }
+
+        this.sources.clear();
+
+        if (this.#cleanup != null) {
+
+            const cleanup = this.#cleanup;
+
+            this.#cleanup = null;
+            cleanup();
+        }
+    }
+}
+
+export class Signals {
+
+    /**
+     * Creates a reactive value.
+     * @param {*} value The initial value.
+     * @returns {Signal}
+     */
+    static Signal(value) {
+        return new Signal(value);
+    }
+
+    /**
+     * Creates a read-only reactive value derived from other signals.
+     * @param {function(): *} compute A function deriving the value from other signals.
+     * @returns {Computed}
+     */
+    static Computed(compute) {
+        return new Computed(compute);
+    }
+
+    /**
+     * Runs a function immediately, and again whenever a signal it read changes. An effect created while another effect runs (outside Untracked()) belongs to it, and is disposed before the outer effect runs again or when it is disposed.
+     * @param {function(): (function()|void)} fn The function to run. If it returns a function, that function is called before the next run and on disposal.
+     * @returns {function()} A function that stops the effect.
+     */
+    static Effect(fn) {
+
+        const effect = new Effect(fn, activeReaction instanceof Effect ? activeReaction : null);
+
+        effect.Run();
+
+        return () => effect.Dispose();
+    }
+
+    /**
+     * Runs a function, deferring effects triggered by signal writes inside it until it completes.
+     * @param {function(): *} fn The function to run.
+     * @returns {*} The function's return value.
+     */
+    static Batch(fn) {
+
+        StartBatch();
+
+        try {
+            return fn();
+        } finally {
+            EndBatch();
+        }
+    }
+
+    /**
+     * Runs a function without registering any signals it reads as dependencies of the active effect.
+     * @param {function(): *} fn The function to run.
+     * @returns {*} The function's return value.
+     */
+    static Untracked(fn) {
+
+        const previousReaction = activeReaction;
+
+        activeReaction = null;
+
+        try {
+            return fn();
+        } finally {
+            activeReaction = previousReaction;
+        }
+    }
+
+    /**
+     * Determines if a value is a signal (including computed values).
+     * @param value The value to be evaluated.
+     * @returns {boolean}
+     */
+    static IsSignal(value) {
+        return value instanceof Signal;
+    }
+
+    /**
+     * Gets the current value of a signal without registering a dependency, or returns a non-signal value unchanged.
+     * @param value A signal or plain value.
+     * @returns {*}
+     */
+    static Unwrap(value) {
+        return value instanceof Signal ? value.Peek() : value;
+    }
+}
\ No newline at end of file
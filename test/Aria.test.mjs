@@ -0,0 +1,114 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+test("aria entries become attributes, and ID references resolve to refs", () => {
+
+    const open = Signals.Signal(false);
+    const element = HTML.Create({tag: "div", children: [
+        {tag: "button", aria: {expanded: open, controls: "panel", labelledBy: ["label", "external"]}, text: "Toggle"},
+        {tag: "span", ref: "label", text: "Label"},
+        {tag: "div", ref: "panel", attributes: {id: "given"}, aria: {hidden: true, label: "Panel"}},
+    ]});
+    const [button, span, panel] = element.children;
+
+    assert.match(span.id, /^label-/);
+    assert.equal(button.getAttribute("aria-labelledby"), `${span.id} external`);
+    assert.equal(button.getAttribute("aria-controls"), "given");
+    assert.equal(button.getAttribute("aria-expanded"), "false");
+    assert.equal(panel.getAttribute("aria-hidden"), "true");
+    assert.equal(panel.getAttribute("aria-label"), "Panel");
+
+    open.value = true;
+
+    assert.equal(button.getAttribute("aria-expanded"), "true");
+});
+
+test("refs resolve within FromObject, FromTemplate and ToHtmlString", () => {
+
+    const [label, input] = HTML.FromObject([{tag: "label", aria: {owns: "x"}}, {tag: "input", ref: "x"}]);
+    const [div] = HTML.FromTemplate({div: {aria: {describedBy: "d"}, children: [{span: {ref: "d", text: "hi"}}]}}, {});
+
+    assert.equal(label.getAttribute("aria-owns"), input.id);
+    assert.equal(div.getAttribute("aria-describedby"), div.firstChild.id);
+    assert.match(HTML.ToHtmlString({tag: "div", children: [{tag: "button", aria: {controls: "p", pressed: false}}, {tag: "div", ref: "p"}, {tag: "i", ref: "unused"}]}), /^<div><button aria-pressed="false" aria-controls="(p-[^"]+)"><\/button><div id="\1"><\/div><i><\/i><\/div>$/);
+});
+
+test("children rendered by a signal share one ref scope per render", () => {
+
+    const content = Signals.Signal(null);
+    const element = HTML.Create({tag: "div", children: [content]});
+
+    content.value = [{tag: "button", aria: {controls: "menu"}}, {tag: "ul", ref: "menu"}];
+
+    const [button, menu] = element.children;
+
+    assert.match(menu.id, /^menu-/);
+    assert.equal(button.getAttribute("aria-controls"), menu.id);
+
+    content.value = [{tag: "ul", ref: "menu"}, {tag: "button", aria: {controls: "menu"}}];
+
+    assert.equal(element.children[1].getAttribute("aria-controls"), element.children[0].id);
+});
+
+test("Patch binds signal aria values, and keeps the binding for the same signal", () => {
+
+    const expanded = Signals.Signal(false);
+    const element = HTML.Create({tag: "button", aria: {expanded: true, label: "Open"}});
+
+    HTML.Patch(element, {tag: "button", aria: {expanded: expanded}});
+
+    assert.equal(element.getAttribute("aria-expanded"), "false");
+    assert.equal(element.hasAttribute("aria-label"), false);
+
+    expanded.value = true;
+    HTML.Patch(element, {tag: "button", aria: {expanded: expanded}});
+
+    assert.equal(element.getAttribute("aria-expanded"), "true");
+
+    expanded.value = false;
+
+    assert.equal(element.getAttribute("aria-expanded"), "false");
+
+    HTML.Patch(element, {tag: "button", aria: {expanded: true}});
+    expanded.value = true;
+    expanded.value = false;
+
+    assert.equal(element.getAttribute("aria-expanded"), "true");
+});
+
+test("Patch removes ID references dropped from the descriptor", () => {
+
+    const element = HTML.Create({tag: "div", children: [{tag: "button", aria: {controls: "panel"}}, {tag: "div", ref: "panel", attributes: {id: "given"}}]});
+
+    HTML.Patch(element, {tag: "div", children: [{tag: "button", aria: {expanded: false}}, {tag: "div", ref: "panel", attributes: {id: "given"}}]});
+
+    assert.equal(element.innerHTML, '<button aria-expanded="false"></button><div id="given"></div>');
+});
+
+test("Validate checks refs and ARIA attribute names", () => {
+    assert.deepEqual(HTML.Validate({tag: "div", aria: {bogus: 1}, ref: 3}), {valid: false, errors: ["ref is not a string"], warnings: ["aria.bogus is not a known ARIA attribute"]});
+});
+
+test("AuditAccessibility reports common problems", () => {
+
+    document.body.innerHTML = `<img src=a><img alt="" src=b><input id=q><label for=q2>L</label><input id=q2><label>W <select></select></label>
+        <div role="buton"></div><div role="foo button"></div><div aria-foo="1" aria-labelledby="nope"></div><p id=q></p>
+        <div aria-hidden="true"><a href="#">x</a><button tabindex="-1">y</button><button disabled>z</button></div><input type=submit><textarea aria-label="t"></textarea>`;
+
+    assert.deepEqual(HTML.AuditAccessibility().map((issue) => [issue.rule, issue.element.localName, issue.message]), [
+        ["image-alt", "img", "<img> has no alt text"],
+        ["label", "input", '<input type="text"> has no label'],
+        ["aria-role", "div", 'role="buton" is not a valid ARIA role'],
+        ["aria-attribute", "div", "aria-foo is not a valid ARIA attribute"],
+        ["aria-attribute", "div", 'aria-labelledby refers to a missing element with ID "nope"'],
+        ["duplicate-id", "p", 'The ID "q" is used more than once'],
+        ["focusable-hidden", "a", "<a> can receive focus but is hidden by aria-hidden"],
+    ]);
+
+    document.body.innerHTML = "";
+
+    assert.deepEqual(HTML.AuditAccessibility(HTML.Create({tag: "section", children: [{tag: "input"}]})).map((issue) => issue.rule), ["label"]);
+});
@@ -0,0 +1,68 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+test("Create binds signal attributes, style, properties, text and children", () => {
+
+    const title = Signals.Signal("a");
+    const color = Signals.Signal("red");
+    const text = Signals.Signal("one");
+    const items = Signals.Signal(["x"]);
+    const element = HTML.Create({tag: "div", attributes: {title: title}, style: {color: color}, properties: {tabIndex: Signals.Signal(2)}, text: text, children: [items]});
+
+    assert.equal(element.outerHTML, '<div title="a" style="color: red;" tabindex="2">onex</div>');
+
+    title.value = false;
+    color.value = "blue";
+    text.value = "two";
+    items.value = [{tag: "b", text: "y"}, "z"];
+
+    assert.equal(element.outerHTML, '<div style="color: blue;" tabindex="2">two<b>y</b>z</div>');
+});
+
+test("signal text stays reactive in nested descriptors", () => {
+
+    const text = Signals.Signal("a");
+    const element = HTML.Create({tag: "div", children: [{tag: "span", text: text}]});
+
+    text.value = "b";
+
+    assert.equal(element.innerHTML, "<span>b</span>");
+});
+
+test("FromObject binds signals in descriptors", () => {
+
+    const label = Signals.Signal("a");
+    const [element] = HTML.FromObject({tag: "p", attributes: {"aria-label": label}, children: [label]});
+
+    label.value = "b";
+
+    assert.equal(element.outerHTML, '<p aria-label="b">b</p>');
+});
+
+test("Dispose releases bindings", () => {
+
+    const text = Signals.Signal("a");
+    const element = HTML.Create({tag: "p", text: text});
+
+    HTML.Dispose(element);
+    text.value = "b";
+
+    assert.equal(element.textContent, "a");
+});
+
+test("bindings made by Patch inside an effect outlive the effect's next run", () => {
+
+    const state = Signals.Signal(0);
+    const title = Signals.Signal("a");
+    const element = HTML.Create({tag: "p"});
+
+    Signals.Effect(() => HTML.Patch(element, {tag: "p", attributes: {title: title}, text: `${state.value}`}));
+
+    state.value = 1;
+    title.value = "b";
+
+    assert.equal(element.outerHTML, '<p title="b">1</p>');
+});
@@ -0,0 +1,47 @@
+import {Tick} from "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+let log = [];
+
+HTML.DefineComponent("x-counter", {
+    props: {count: {type: Number, default: 0, reflect: true}, label: String, items: {type: Array, default: () => []}},
+    styles: {":host": {display: "block"}},
+    render: (props) => [{tag: "span", text: `${props.label}: ${props.count}`}, {tag: "input", key: "in"}, ...props.items.map((item) => ({tag: "i", key: item, text: item}))],
+    connected: () => log.push("connected"),
+    disconnected: () => log.push("disconnected"),
+});
+
+const content = (element) => Array.from(element.shadowRoot.childNodes).filter((node) => node.localName !== "style").map((node) => node.outerHTML).join("");
+
+test("renders from props and re-renders by patching", async () => {
+
+    const element = document.createElement("x-counter");
+
+    element.setAttribute("label", "Clicks");
+    document.body.append(element);
+
+    const input = element.shadowRoot.querySelector("input");
+
+    assert.equal(content(element), "<span>Clicks: 0</span><input>");
+
+    element.count = 5;
+    element.items = ["a", "b"];
+    await Tick();
+
+    assert.equal(content(element), "<span>Clicks: 5</span><input><i>a</i><i>b</i>");
+    assert.equal(element.getAttribute("count"), "5");
+    assert.equal(element.shadowRoot.querySelector("input"), input);
+
+    element.setAttribute("count", "9");
+    element.setAttribute("items", '["z"]');
+    await Tick();
+
+    assert.equal(content(element), "<span>Clicks: 9</span><input><i>z</i>");
+    assert.equal(element.count, 9);
+
+    element.remove();
+
+    assert.deepEqual(log, ["connected", "disconnected"]);
+});
@@ -0,0 +1,197 @@
+import {window} from "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+const rows = Array.from({length: 23}, (_, i) => ({id: i, name: `item ${i}`, group: ["Älpha", "beta", "alpha"][i % 3], n: (i * 7) % 10}));
+
+function CreateTable(options = {}) {
+
+    const container = document.createElement("div");
+    const selections = [];
+
+    document.body.append(container);
+
+    const table = HTML.DataTable(container, {
+        rows: rows,
+        columns: [
+            {key: "name", header: "Name", filter: true},
+            {key: "group", header: "Group", filter: (value, query) => value.toLowerCase().startsWith(query.toLowerCase())},
+            {key: "n", header: "N", cell: (value) => ({tag: "b", text: `${value}`}), comparator: (a, b) => b - a},
+        ],
+        pageSize: 10,
+        selectable: true,
+        onSelectionChange: (selected) => selections.push(selected.map((row) => row.id)),
+        ...options,
+    });
+
+    return {
+        container: container,
+        table: table,
+        selections: selections,
+        names: () => [...container.querySelectorAll("tbody tr")].map((tr) => tr.children[1].textContent),
+        status: () => container.querySelector(".data-table-pager span").textContent,
+        headers: () => container.querySelectorAll("thead th"),
+    };
+}
+
+function Input(element, value) {
+    element.value = value;
+    element.dispatchEvent(new Event("input", {bubbles: true}));
+}
+
+test("renders one page of rows with a pager", () => {
+
+    const {container, names, status} = CreateTable();
+
+    assert.equal(names().length, 10);
+    assert.equal(status(), "Page 1 of 3 (23 rows)");
+    assert.equal(container.querySelector("table").getAttribute("aria-rowcount"), "24");
+    assert.equal(container.querySelector("tbody b").textContent, "0");
+
+    container.querySelector("[data-page=next]").click();
+
+    assert.equal(status(), "Page 2 of 3 (23 rows)");
+    HTML.Dispose(container);
+
+    assert.equal(container.children.length, 0);
+});
+
+test("header clicks cycle the sort, and shift-clicks add sort keys", () => {
+
+    const {table, names, headers} = CreateTable();
+    const groupHeader = headers()[2];
+
+    groupHeader.click();
+
+    assert.deepEqual(names().slice(0, 3), ["item 2", "item 5", "item 8"]);
+    assert.equal(groupHeader.getAttribute("aria-sort"), "ascending");
+    assert.equal(headers()[2], groupHeader);
+
+    headers()[3].dispatchEvent(new window.MouseEvent("click", {bubbles: true, shiftKey: true}));
+
+    // The column comparator sorts N in reverse
+    assert.deepEqual(table.GetRows().slice(0, 3).map((row) => `${row.group}/${row.n}`), ["alpha/9", "alpha/8", "alpha/7"]);
+    assert.equal(headers()[3].textContent, "N▲2");
+
+    groupHeader.click();
+
+    assert.equal(groupHeader.getAttribute("aria-sort"), "descending");
+    assert.deepEqual(table.GetRows().slice(0, 2).map((row) => row.group), ["beta", "beta"]);
+
+    groupHeader.click();
+
+    assert.equal(groupHeader.getAttribute("aria-sort"), null);
+});
+
+test("filters by search box, column filter and SetFilter()", () => {
+
+    const {container, table, names, status} = CreateTable();
+    const search = container.querySelector(".data-table-search");
+
+    Input(search, "item 1");
+
+    assert.equal(status(), "Page 1 of 2 (11 rows)");
+    assert.equal(container.querySelector(".data-table-search"), search);
+
+    Input(container.querySelector('[data-filter="group"]'), "al");
+
+    assert.deepEqual(names(), ["item 11", "item 14", "item 17"]);
+
+    table.SetFilter("");
+
+    assert.equal(status(), "Page 1 of 3 (23 rows)");
+});
+
+test("selects rows by checkbox and select-all", () => {
+
+    const {container, selections} = CreateTable();
+
+    container.querySelector('tbody [data-select="1"]').click();
+    container.querySelector('tbody [data-select="2"]').click();
+
+    assert.deepEqual(selections.at(-1), [1, 2]);
+    assert.equal(container.querySelectorAll("tr[aria-selected=true]").length, 2);
+
+    container.querySelector('[data-select="all"]').click();
+
+    assert.equal(selections.at(-1).length, 10);
+});
+
+test("supports grid keyboard navigation", () => {
+
+    const {container, table, selections, status} = CreateTable();
+    const key = (name) => document.activeElement.dispatchEvent(new window.KeyboardEvent("keydown", {key: name, bubbles: true}));
+
+    container.querySelector('[data-row="-1"][data-column="0"]').focus();
+    key("ArrowDown");
+    key("ArrowRight");
+
+    assert.deepEqual([document.activeElement.dataset.row, document.activeElement.dataset.column], ["0", "1"]);
+    assert.equal(document.activeElement.tabIndex, 0);
+
+    key("End");
+    key("ArrowUp");
+
+    assert.deepEqual([document.activeElement.dataset.row, document.activeElement.dataset.column], ["-1", "3"]);
+
+    // Enter sorts by the focused header
+    key("Enter");
+
+    assert.deepEqual(table.GetRows().slice(0, 3).map((row) => row.n), [9, 9, 8]);
+
+    key("ArrowDown");
+    key(" ");
+
+    assert.equal(selections.at(-1).length, 1);
+
+    key("PageDown");
+
+    assert.equal(status(), "Page 2 of 3 (23 rows)");
+});
+
+test("SetRows replaces the rows", () => {
+
+    const {table, names, status} = CreateTable();
+
+    table.SetRows(rows.slice(0, 3));
+
+    assert.deepEqual(names(), ["item 0", "item 1", "item 2"]);
+    assert.equal(status(), "Page 1 of 1 (3 rows)");
+});
+
+test("reads getter and prototype-backed fields of class-instance rows", () => {
+
+    class Person {
+        constructor(first, last, age) {
+            Object.assign(this, {first, last, age});
+        }
+        get fullName() {
+            return `${this.first} ${this.last}`;
+        }
+    }
+
+    const container = document.createElement("div");
+    const people = [new Person("Grace", "Hopper", 85), new Person("Ada", "Lovelace", 36), new Person("Alan", "Turing", 41)];
+    const table = HTML.DataTable(container, {rows: people, columns: [{key: "fullName", header: "Name", filter: true}, {key: "age", header: "Age"}]});
+    const cells = () => [...container.querySelectorAll("tbody tr")].map((tr) => tr.children[0].textContent);
+
+    assert.deepEqual(cells(), ["Grace Hopper", "Ada Lovelace", "Alan Turing"]);
+
+    container.querySelectorAll("thead th")[0].click();
+
+    assert.deepEqual(cells(), ["Ada Lovelace", "Alan Turing", "Grace Hopper"]);
+    assert.deepEqual(table.GetRows().map((row) => row.last), ["Lovelace", "Turing", "Hopper"]);
+
+    Input(container.querySelector('[data-filter="fullName"]'), "tur");
+
+    assert.deepEqual(cells(), ["Alan Turing"]);
+
+    table.SetFilter("ada", {fullName: "tur"});
+
+    assert.deepEqual(cells(), ["No matching rows"]);
+
+    table.SetFilter("ada");
+
+    assert.deepEqual(cells(), ["Ada Lovelace"]);
+});
@@ -0,0 +1,49 @@
+import {window} from "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+test("delegated listeners run for matching descendants with the match as this", () => {
+
+    let calls = [];
+    const [list] = HTML.FromObject({tag: "ul", events: {click: {selector: "li", handler(event, match) {
+        calls.push([match.textContent, this === match]);
+    }}}, children: [{tag: "li", text: "a", children: [{tag: "b", text: "!"}]}, {tag: "li", text: "b"}]});
+
+    document.body.append(list);
+    list.querySelector("b").click();
+    list.click();
+    list.remove();
+
+    assert.deepEqual(calls, [["a!", true]]);
+});
+
+test("supports once and capture options", () => {
+
+    let calls = [];
+    const parent = HTML.Create({tag: "div", events: {
+        dblclick: {handler: () => calls.push("once"), once: true},
+        custom: {handler: () => calls.push("capture"), capture: true},
+    }, children: [{tag: "span", events: {custom: () => calls.push("target")}}]});
+
+    parent.dispatchEvent(new window.Event("dblclick"));
+    parent.dispatchEvent(new window.Event("dblclick"));
+    parent.firstChild.dispatchEvent(new window.Event("custom"));
+
+    assert.deepEqual(calls, ["once", "capture", "target"]);
+});
+
+test("Dispose removes every listener in the subtree", () => {
+
+    let calls = 0;
+    const parent = HTML.Create({tag: "div", events: {click: () => calls++}, children: [{tag: "button", events: {click: () => calls++}}]});
+
+    HTML.Dispose(parent);
+    parent.firstChild.click();
+
+    assert.equal(calls, 0);
+});
+
+test("throws when a handler is not a function", () => {
+    assert.throws(() => HTML.Create({tag: "a", events: {click: {}}}), {message: 'The handler for the "click" event is not a function.'});
+});
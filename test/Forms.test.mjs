@@ -0,0 +1,46 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+const createForm = () => {
+
+    document.body.innerHTML = `<form>
+        <input name="name" value="Ann"><input name="address.city" value="X"><input name="items[0].qty" type="number" value="3">
+        <input type="checkbox" name="agree"><input type="checkbox" name="tags[]" value="a" checked><input type="checkbox" name="tags[]" value="b">
+        <input type="radio" name="color" value="r"><input type="radio" name="color" value="g" checked>
+        <select name="multi" multiple><option value="1" selected>1</option><option value="2">2</option></select>
+        <input name="disabled" disabled value="no"><button name="button">b</button><textarea name="notes">hi</textarea>
+    </form>`;
+
+    return document.querySelector("form");
+};
+
+test("FormToObject builds nested objects and coerces values", () => {
+    assert.deepEqual(HTML.FormToObject(createForm()), {
+        name: "Ann", address: {city: "X"}, items: [{qty: 3}], agree: false, tags: ["a"], color: "g", multi: ["1"], notes: "hi",
+    });
+});
+
+test("FormToObject can leave values as strings", () => {
+    assert.deepEqual(HTML.FormToObject(createForm(), {coerce: false}), {
+        name: "Ann", address: {city: "X"}, items: [{qty: "3"}], tags: ["a"], color: "g", multi: ["1"], notes: "hi",
+    });
+});
+
+test("PopulateForm round-trips and dirty fields are tracked", () => {
+
+    const form = createForm();
+
+    HTML.PopulateForm(form, {name: "Bob", agree: true, tags: ["b"], color: "r", multi: ["2"], items: [{qty: 7}], address: {city: "Y"}});
+
+    assert.deepEqual(HTML.FormToObject(form), {
+        name: "Bob", address: {city: "Y"}, items: [{qty: 7}], agree: true, tags: ["b"], color: "r", multi: ["2"], notes: "hi",
+    });
+    assert.equal(HTML.IsFormDirty(form), false);
+
+    form.elements.name.value = "Zed";
+
+    assert.deepEqual(HTML.GetDirtyFields(form), ["name"]);
+    assert.equal(HTML.IsFormDirty(form), true);
+});
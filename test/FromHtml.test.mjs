@@ -0,0 +1,37 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+const markup = ` a <b onclick="x()">bold</b> mid <script>alert(1)</script><a href=" java\tscript:alert(1)" title=t>link</a><a href="/ok">ok</a><custom data-x=1><i>it</i></custom><!-- c --> end`;
+
+test("returns every top-level node in order", () => {
+    assert.deepEqual(HTML.FromHtml(markup).map((node) => node.nodeName), ["#text", "B", "#text", "SCRIPT", "A", "A", "CUSTOM", "#comment", "#text"]);
+});
+
+test("sanitizes with the default policy", () => {
+
+    const host = document.createElement("div");
+
+    host.append(HTML.FromHtml(markup, {sanitize: true, fragment: true}));
+
+    assert.equal(host.innerHTML, 'a <b>bold</b> mid <a title="t">link</a><a href="/ok">ok</a><i>it</i> end');
+});
+
+test("sanitizes with a custom allowlist", () => {
+
+    const host = document.createElement("div");
+
+    host.append(...HTML.FromHtml(markup, {sanitize: {tags: ["b", "custom"], attributes: ["data-*"]}}));
+
+    assert.equal(host.innerHTML, 'a <b>bold</b> mid linkok<custom data-x="1">it</custom> end');
+});
+
+test("parsed scripts do not run", () => {
+
+    globalThis.ran = false;
+
+    document.body.append(...HTML.FromHtml("<script>globalThis.ran = true</script>"));
+
+    assert.equal(globalThis.ran, false);
+});
@@ -0,0 +1,66 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+const Markup = (nodes) => nodes.map((node) => node.outerHTML ?? node.data);
+
+test("sets attributes individually and never parses values as HTML", () => {
+
+    let clicks = 0;
+    const item = (label, type, extra) => HTML.html`
+        <li class="item ${type}" data-x=${null} hidden=${false} aria-busy=${true} style=${{color: "red", fontSize: "2px"}} @click=${() => clicks++} ${extra}>${label}</li>`;
+
+    const [first] = item("<b>x</b>", "big", {title: "t", "data-y": 2});
+
+    first.click();
+
+    assert.equal(first.outerHTML, '<li class="item big" aria-busy="" style="color: red; font-size: 2px;" title="t" data-y="2">&lt;b&gt;x&lt;/b&gt;</li>');
+    assert.equal(clicks, 1);
+    assert.equal(item("two", "small", null)[0].outerHTML, '<li class="item small" aria-busy="" style="color: red; font-size: 2px;">two</li>');
+    assert.equal(HTML.html`<a href="/x?a=${"1&b=\"2"}">x</a>`[0].outerHTML, '<a href="/x?a=1&amp;b=&quot;2">x</a>');
+});
+
+test("inserts nodes, arrays and descriptors in text positions", () => {
+
+    const rows = [1, 2].flatMap((n) => HTML.html`<tr><td>${n}</td></tr>`);
+
+    assert.deepEqual(Markup(HTML.html`<table><tbody>${rows}</tbody></table>`), ["<table><tbody><tr><td>1</td></tr><tr><td>2</td></tr></tbody></table>"]);
+    assert.deepEqual(Markup(HTML.html`text <b>${["a", HTML.CreateTextNode("b"), {tag: "i", text: "c"}, null, false]}</b> tail ${0}`), ["text ", "<b>ab<i>c</i></b>", " tail ", "0"]);
+
+    const [svg] = HTML.html`<svg viewBox=${"0 0 1 1"}><g>${{tag: "circle", attributes: {r: "1"}}}</g></svg>`;
+
+    assert.equal(svg.querySelector("circle").namespaceURI, "http://www.w3.org/2000/svg");
+});
+
+test("binds signal attributes", () => {
+
+    const title = Signals.Signal("on");
+    const [element] = HTML.html`<p title=${title}></p>`;
+
+    title.value = "off";
+
+    assert.equal(element.outerHTML, '<p title="off"></p>');
+});
+
+test("fills slots inside nested templates", () => {
+
+    const [template] = HTML.html`<template><p class=${"c"}>${"<inner>"}</p>${"top"}</template>`;
+
+    assert.equal(template.innerHTML, '<p class="c">&lt;inner&gt;</p>top');
+
+    // The compiled template is reused without its slots having been filled
+    const render = (value) => HTML.html`<template><b>${value}</b></template>`[0].innerHTML;
+
+    assert.equal(render(1), "<b>1</b>");
+    assert.equal(render(2), "<b>2</b>");
+});
+
+test("throws for values in positions that cannot be interpolated", () => {
+    assert.throws(() => HTML.html`<${"div"}>`, {message: "html: a value cannot be interpolated into a tag name."});
+    assert.throws(() => HTML.html`<script>${"x"}</script>`, {message: "html: a value cannot be interpolated into the content of <script>."});
+    assert.throws(() => HTML.html`<!-- ${1} -->`, {message: "html: a value cannot be interpolated into a comment."});
+    assert.throws(() => HTML.html`<p title=${1} title=${2}></p>`, {message: "html: the value at index 1 is not in a position where it can be interpolated."});
+    assert.throws(() => HTML.html`<p></p ${{a: 1}}>`, TypeError);
+});
@@ -0,0 +1,44 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+document.body.innerHTML = `<div id="a"></div><div id="b"></div><div id="c" style="transform: scale(1)"><span id="d"></span><span id="e"></span></div><div id="m"></div>`;
+
+const $ = (id) => document.getElementById(id);
+
+test("BringToFront and SendToBack order elements within their stacking context", () => {
+
+    HTML.BringToFront($("a"));
+    HTML.BringToFront($("b"));
+    HTML.BringToFront($("a"));
+    HTML.BringToFront($("d"));
+    HTML.SendToBack($("e"));
+
+    assert.ok(Number($("a").style.zIndex) > Number($("b").style.zIndex));
+    assert.ok(Number($("d").style.zIndex) > Number($("e").style.zIndex));
+    assert.equal(HTML.GetStackingContext($("d")), $("c"));
+});
+
+test("layers keep elements within their range", () => {
+
+    HTML.SetLayer($("m"), "modal");
+    assert.equal($("m").style.zIndex, "2000");
+
+    HTML.DefineLayer("tiny", 5, 6);
+    HTML.SetLayer($("a"), "tiny");
+    HTML.SetLayer($("b"), "tiny");
+    HTML.SetLayer($("a"), "tiny");
+    assert.deepEqual([$("a").style.zIndex, $("b").style.zIndex], ["6", "5"]);
+
+    assert.throws(() => HTML.DefineLayer("bad", 2, 1), RangeError);
+    assert.throws(() => HTML.SetLayer($("a"), "missing"), /has not been defined/);
+});
+
+test("ReleaseLayer clears the z-index, and GetZIndexRange reads the rest", () => {
+
+    HTML.ReleaseLayer($("a"));
+
+    assert.equal($("a").style.zIndex, "");
+    assert.deepEqual(HTML.GetZIndexRange(document.body), {min: 1, max: 2000});
+});
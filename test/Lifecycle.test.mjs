@@ -0,0 +1,214 @@
+import {window, Tick} from "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+// Records which observers are connected, to check that nothing is observed while no element has hooks
+const observing = new Set();
+
+window.MutationObserver = class extends window.MutationObserver {
+    observe(...args) {
+        observing.add(this);
+        return super.observe(...args);
+    }
+
+    disconnect() {
+        observing.delete(this);
+        return super.disconnect();
+    }
+};
+
+test("the document is only observed while some element has hooks", async () => {
+
+    const log = [];
+
+    assert.equal(observing.size, 0);
+
+    const first = HTML.Create({tag: "div", onMount: () => log.push("mount first")});
+    const second = HTML.Create({tag: "div", onUnmount: () => log.push("unmount second")});
+
+    assert.equal(observing.size, 1);
+
+    HTML.Patch(first, {tag: "div"});
+    assert.equal(observing.size, 1);
+
+    // Dispose runs the onUnmount of a removed element before its removal is observed
+    document.body.append(second);
+    await Tick();
+    HTML.Remove(second, {dispose: true});
+
+    assert.deepEqual(log.splice(0), ["unmount second"]);
+    assert.equal(observing.size, 0);
+
+    HTML.Patch(first, {tag: "div", onMount: () => log.push("mount first")});
+    assert.equal(observing.size, 1);
+
+    document.body.append(first);
+    await Tick();
+    assert.deepEqual(log.splice(0), ["mount first"]);
+
+    first.remove();
+    HTML.Dispose(first);
+    await Tick();
+    assert.equal(observing.size, 0);
+});
+
+test("a hook that throws does not stop the others", async () => {
+
+    const log = [];
+    const errors = [];
+    const onError = (event) => {
+        errors.push(event.error);
+        event.preventDefault();
+    };
+
+    window.addEventListener("error", onError);
+
+    const element = HTML.Create({
+        tag: "div",
+        onMount: () => {
+            throw new Error("div");
+        },
+        onUnmount: () => log.push("unmount div"),
+        children: [
+            {tag: "span", onMount: () => log.push("mount span"), onUnmount: () => { throw new Error("span"); }},
+            {tag: "b", onMount: () => log.push("mount b"), onUnmount: () => log.push("unmount b")},
+        ],
+    });
+
+    document.body.append(element);
+    await Tick();
+
+    assert.deepEqual(log.splice(0), ["mount span", "mount b"]);
+    assert.deepEqual(errors.splice(0).map((error) => error.message), ["div"]);
+
+    element.remove();
+    await Tick();
+
+    assert.deepEqual(log.splice(0), ["unmount b", "unmount div"]);
+    assert.deepEqual(errors.splice(0).map((error) => error.message), ["span"]);
+
+    window.removeEventListener("error", onError);
+    HTML.Dispose(element);
+});
+
+test("onMount and onUnmount follow where an element ends up", async () => {
+
+    const log = [];
+    const element = HTML.Create({
+        tag: "div",
+        onMount: (el) => {
+            log.push(`mount div ${el.isConnected}`);
+            return () => log.push("cleanup div");
+        },
+        onUnmount: () => log.push("unmount div"),
+        children: [{tag: "span", onMount: () => log.push("mount span"), onUnmount: () => log.push("unmount span")}],
+    });
+
+    await Tick();
+    assert.deepEqual(log.splice(0), []);
+
+    document.body.append(element);
+    await Tick();
+    assert.deepEqual(log.splice(0), ["mount div true", "mount span"]);
+
+    // Moving an element within the document does not remount it
+    const section = document.createElement("section");
+
+    document.body.append(section);
+    section.append(element);
+    await Tick();
+    assert.deepEqual(log.splice(0), []);
+
+    element.remove();
+    await Tick();
+    assert.deepEqual(log.splice(0), ["unmount span", "cleanup div", "unmount div"]);
+
+    element.remove();
+    document.body.append(element);
+    document.body.append(element);
+    element.remove();
+    document.body.append(element);
+    await Tick();
+    assert.deepEqual(log.splice(0), ["mount div true", "mount span"]);
+
+    element.remove();
+    section.remove();
+    await Tick();
+});
+
+test("elements already in the document are mounted when hooks are set", async () => {
+
+    const log = [];
+    const element = HTML.Create({tag: "p"});
+
+    document.body.append(element);
+    HTML.Patch(element, {tag: "p", onMount: () => log.push("mount")});
+    await Tick();
+
+    assert.deepEqual(log, ["mount"]);
+    element.remove();
+});
+
+test("hooks are supported by FromTemplate and inside components", async () => {
+
+    const log = [];
+    const [paragraph] = HTML.FromTemplate({p: {onMount: "{{mount}}", text: "x"}}, {mount: () => log.push("template mount")});
+
+    HTML.DefineComponent("lifecycle-test", {render: () => ({tag: "b", onMount: () => log.push("shadow mount"), onUnmount: () => log.push("shadow unmount")})});
+
+    const component = document.createElement("lifecycle-test");
+
+    document.body.append(paragraph, component);
+    await Tick();
+    await Tick();
+    component.remove();
+    await Tick();
+
+    assert.deepEqual(log, ["template mount", "shadow mount", "shadow unmount"]);
+    paragraph.remove();
+});
+
+test("Patch replaces hooks, and clears them when the descriptor has none", async () => {
+
+    const log = [];
+    const element = HTML.Create({tag: "div", onMount: () => (log.push("mount a"), () => log.push("cleanup a"))});
+
+    document.body.append(element);
+    await Tick();
+
+    HTML.Patch(element, {tag: "div", onUnmount: () => log.push("unmount b")});
+    element.remove();
+    await Tick();
+
+    assert.deepEqual(log.splice(0), ["mount a", "cleanup a", "unmount b"]);
+
+    document.body.append(element);
+    await Tick();
+    HTML.Patch(element, {tag: "div", onMount: () => (log.push("mount c"), () => log.push("cleanup c"))});
+    await Tick();
+
+    // The new onMount runs when the element is next added
+    element.remove();
+    await Tick();
+    document.body.append(element);
+    await Tick();
+
+    assert.deepEqual(log.splice(0), ["mount c"]);
+
+    HTML.Patch(element, {tag: "div"});
+
+    assert.deepEqual(log.splice(0), ["cleanup c"]);
+
+    element.remove();
+    await Tick();
+    document.body.append(element);
+    await Tick();
+
+    assert.deepEqual(log, []);
+    element.remove();
+});
+
+test("Validate rejects hooks that are not functions", () => {
+    assert.deepEqual(HTML.Validate({tag: "a", onMount: 1}).errors, ["onMount is not a function"]);
+});
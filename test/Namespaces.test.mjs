@@ -0,0 +1,66 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+const SVG = "http://www.w3.org/2000/svg";
+const XHTML = "http://www.w3.org/1999/xhtml";
+const XLINK = "http://www.w3.org/1999/xlink";
+
+const descriptor = {tag: "svg", attributes: {viewBox: "0 0 10 10", "xmlns:xlink": XLINK}, children: [
+    {tag: "linearGradient", attributes: {id: "g"}},
+    {tag: "use", attributes: {"xlink:href": "#g"}},
+    {tag: "circle", attributes: {r: "4"}},
+    {tag: "foreignObject", children: [{tag: "div", text: "hi"}]},
+]};
+
+test("svg descendants are created in the SVG namespace until foreignObject", () => {
+
+    const svg = HTML.Create(descriptor);
+
+    assert.equal(svg.namespaceURI, SVG);
+    assert.deepEqual([...svg.children].map((child) => [child.localName, child.namespaceURI]), [
+        ["linearGradient", SVG],
+        ["use", SVG],
+        ["circle", SVG],
+        ["foreignObject", SVG],
+    ]);
+    assert.equal(svg.querySelector("div").namespaceURI, XHTML);
+    assert.equal(svg.querySelector("use").getAttributeNS(XLINK, "href"), "#g");
+});
+
+test("the namespace is inferred by FromObject and FromTemplate, and may be given explicitly", () => {
+
+    const [div] = HTML.FromObject([{tag: "div", children: [{tag: "svg", children: [{tag: "path", attributes: {d: "M0"}}]}]}]);
+    const [templated] = HTML.FromTemplate({div: {svg: {children: [{rect: {attributes: {width: "1"}}}]}}}, {});
+
+    assert.equal(div.querySelector("path").namespaceURI, SVG);
+    assert.equal(templated.querySelector("rect").namespaceURI, SVG);
+    assert.equal(HTML.Create({tag: "circle", namespace: "svg"}).namespaceURI, SVG);
+    assert.equal(HTML.Create({tag: "svg", children: [Signals.Signal([{tag: "rect"}])]}).querySelector("rect").namespaceURI, SVG);
+});
+
+test("ToObject records a namespace only where it cannot be inferred", () => {
+
+    const svg = HTML.Create(descriptor);
+    const circle = HTML.ToObject(svg.querySelector("circle"));
+
+    assert.deepEqual(HTML.ToObject(svg).children[3], {tag: "foreignObject", children: [{tag: "div", children: ["hi"]}]});
+    assert.deepEqual(circle, {tag: "circle", namespace: SVG, attributes: {r: "4"}});
+    assert.equal(HTML.FromObject(circle)[0].namespaceURI, SVG);
+});
+
+test("Patch keeps camelCase SVG elements", () => {
+
+    const svg = HTML.Create(descriptor);
+    const gradient = svg.querySelector("linearGradient");
+
+    HTML.Patch(svg, descriptor);
+
+    assert.equal(svg.querySelector("linearGradient"), gradient);
+});
+
+test("Validate rejects a namespace that is not a string", () => {
+    assert.deepEqual(HTML.Validate({tag: "svg", namespace: 3}).errors, ["namespace is not a string"]);
+});
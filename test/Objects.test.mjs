@@ -0,0 +1,95 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Objects} from "../src/Objects.mjs";
+
+class Point {
+    constructor(x) {
+        this.x = x;
+    }
+
+    get double() {
+        return this.x * 2;
+    }
+}
+
+test("DeepClone copies built-in types, class instances and cycles", () => {
+
+    const original = {date: new Date(5), map: new Map([[1, {z: 1}]]), set: new Set([1, {q: 2}]), undefined: undefined, fn() {}, point: new Point(3), regex: /a/g, bytes: new Uint8Array([1, 2]), [Symbol.for("k")]: 1};
+
+    original.self = original;
+
+    const copy = Objects.DeepClone(original);
+
+    assert.equal(copy.self, copy);
+    assert.notEqual(copy.date, original.date);
+    assert.equal(copy.date.getTime(), 5);
+    assert.notEqual(copy.map.get(1), original.map.get(1));
+    assert.ok(copy.point instanceof Point);
+    assert.equal(copy.point.double, 6);
+    assert.equal(copy.fn, original.fn);
+    assert.ok("undefined" in copy);
+    assert.equal(copy.bytes[1], 2);
+    assert.ok(Objects.DeepEqual(original, copy));
+
+    copy.map.get(1).z = 2;
+
+    assert.equal(Objects.DeepEqual(original, copy), false);
+});
+
+test("DeepClone uses the customizer", () => {
+    assert.equal(Objects.DeepClone({point: new Point(1)}, {customizer: (value) => value instanceof Point ? new Point(value.x + 100) : undefined}).point.x, 101);
+});
+
+test("DeepEqual compares Sets by members, NaN, missing keys and prototypes", () => {
+    assert.equal(Objects.DeepEqual(new Set([{a: 1}, {a: 2}]), new Set([{a: 2}, {a: 1}])), true);
+    assert.equal(Objects.DeepEqual([NaN], [NaN]), true);
+    assert.equal(Objects.DeepEqual({a: 1}, {a: 1, b: undefined}), false);
+    assert.equal(Objects.DeepEqual(new Point(1), {x: 1}), false);
+});
+
+test("DeepEqual does not trust a pair found unequal earlier", () => {
+
+    const x = {v: 1};
+    const y = {v: 2};
+
+    assert.equal(Objects.DeepEqual([new Set([{k: x}, {k: y}]), x], [new Set([{k: y}, {k: x}]), y]), false);
+});
+
+test("DeepEqual handles cycles", () => {
+
+    const a = {name: "a"};
+    const b = {name: "a"};
+
+    a.self = a;
+    b.self = b;
+
+    assert.equal(Objects.DeepEqual(a, b), true);
+
+    b.name = "b";
+
+    assert.equal(Objects.DeepEqual(a, b), false);
+});
+
+test("DeepMerge merges without modifying its arguments", () => {
+
+    const target = {a: {b: 1, list: [{id: 1, v: 1}, {id: 2, v: 2}], tags: ["x"]}, keep: true};
+    const source = {a: {c: 2, list: [{id: 2, v: 9}, {id: 3, v: 3}], tags: ["y"]}, keep: undefined};
+
+    assert.deepEqual(Objects.DeepMerge(target, source), {a: {b: 1, list: [{id: 2, v: 9}, {id: 3, v: 3}], tags: ["y"], c: 2}, keep: true});
+    assert.deepEqual(Objects.DeepMerge(target, source, {arrays: "concat"}).a.tags, ["x", "y"]);
+    assert.deepEqual(Objects.DeepMerge(target, source, {arrays: "mergeByKey"}).a.list, [{id: 1, v: 1}, {id: 2, v: 9}, {id: 3, v: 3}]);
+    assert.deepEqual(target, {a: {b: 1, list: [{id: 1, v: 1}, {id: 2, v: 2}], tags: ["x"]}, keep: true});
+});
+
+test("DeepMerge ignores keys which reach a prototype", () => {
+
+    const merged = Objects.DeepMerge({}, JSON.parse('{"__proto__": {"polluted1": 1}, "constructor": {"prototype": {"polluted1": 1}}, "safe": 1}'));
+
+    assert.equal({}.polluted1, undefined);
+    assert.equal(Object.getPrototypeOf(merged), Object.prototype);
+    assert.deepEqual(merged, {safe: 1});
+});
+
+test("DeepMerge merges only into own properties", () => {
+    assert.deepEqual(Objects.DeepMerge({}, {toString: {a: 1}}).toString, {a: 1});
+});
@@ -0,0 +1,134 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Objects} from "../src/Objects.mjs";
+
+const Flush = () => Promise.resolve();
+
+const Describe = (records) => records.map((record) => `${record.type} ${record.path}`);
+
+test("Subscribe delivers matching change records once per batch", async () => {
+
+    const state = Objects.Observe({user: {name: "a", address: {city: "X", zip: "1"}}, items: [{qty: 1}]});
+    const address = [];
+    const quantities = [];
+    const all = [];
+
+    Objects.Subscribe(state, "user.address.*", (records) => address.push(records));
+    Objects.Subscribe(state, "items[*].qty", (records) => quantities.push(Describe(records)));
+    Objects.Subscribe(state, (records) => all.push(records.length));
+
+    state.user.address.city = "Y";
+    state.user.address.zip = "2";
+    state.items[0].qty = 5;
+    state.items.push({qty: 7});
+    delete state.user.name;
+
+    assert.equal(all.length, 0);
+
+    await Flush();
+
+    assert.equal(address.length, 1);
+    assert.deepEqual(address[0].map(({type, path, oldValue, newValue}) => ({type, path, oldValue, newValue})), [
+        {type: "update", path: "user.address.city", oldValue: "X", newValue: "Y"},
+        {type: "update", path: "user.address.zip", oldValue: "1", newValue: "2"},
+    ]);
+    assert.deepEqual(quantities, [["update items[0].qty", "add items[1]"]]);
+    assert.deepEqual(all, [5]);
+});
+
+test("Subscribe returns a function that ends the subscription", async () => {
+
+    const state = Objects.Observe({count: 0});
+    const seen = [];
+    const unsubscribe = Objects.Subscribe(state, "count", (records) => seen.push(records.length));
+
+    state.count++;
+    await Flush();
+    unsubscribe();
+    state.count++;
+    await Flush();
+
+    assert.deepEqual(seen, [1]);
+});
+
+test("Snapshot returns a frozen deep copy", async () => {
+
+    const state = Objects.Observe({user: {name: "a"}, items: [1]});
+    const snapshot = Objects.Snapshot(state);
+
+    state.user.name = "b";
+
+    assert.deepEqual(snapshot, {user: {name: "a"}, items: [1]});
+    assert.ok(Object.isFrozen(snapshot.user));
+    assert.ok(Object.isFrozen(snapshot.items));
+    assert.equal(state.user, state.user);
+});
+
+test("Undo and Redo replay whole batches", async () => {
+
+    const state = Objects.Observe({user: {name: "a", address: {city: "X"}}, items: [{qty: 1}]});
+    const seen = [];
+
+    Objects.Subscribe(state, (records) => seen.push(Describe(records)));
+
+    state.user.address.city = "Y";
+    state.items.push({qty: 7});
+    delete state.user.name;
+    await Flush();
+
+    state.user.address = {city: "Z"};
+    await Flush();
+
+    assert.equal(Objects.Undo(state), true);
+    await Flush();
+    assert.deepEqual(Objects.Snapshot(state), {user: {address: {city: "Y"}}, items: [{qty: 1}, {qty: 7}]});
+
+    assert.equal(Objects.Undo(state), true);
+    await Flush();
+    assert.deepEqual(Objects.Snapshot(state), {user: {name: "a", address: {city: "X"}}, items: [{qty: 1}]});
+    assert.equal(Objects.Undo(state), false);
+
+    assert.equal(Objects.Redo(state), true);
+    await Flush();
+    assert.deepEqual(Objects.Snapshot(state), {user: {address: {city: "Y"}}, items: [{qty: 1}, {qty: 7}]});
+    assert.equal(state.items.length, 2);
+
+    // Subscribers receive the records produced by undo and redo
+    assert.equal(seen.length, 5);
+    assert.deepEqual(seen[2], ["update user.address"]);
+});
+
+test("A new change clears the redo history", async () => {
+
+    const state = Objects.Observe({count: 0});
+
+    state.count = 1;
+    await Flush();
+    Objects.Undo(state);
+    await Flush();
+    state.count = 2;
+    await Flush();
+
+    assert.equal(Objects.Redo(state), false);
+    assert.equal(state.count, 2);
+});
+
+test("historyLimit bounds the undo history", async () => {
+
+    const state = Objects.Observe({count: 0}, {historyLimit: 2});
+
+    for (let i = 1; i <= 4; i++) {
+        state.count = i;
+        await Flush();
+    }
+
+    assert.equal(Objects.Undo(state), true);
+    assert.equal(Objects.Undo(state), true);
+    assert.equal(Objects.Undo(state), false);
+    assert.equal(state.count, 2);
+});
+
+test("rejects values which are not observables", () => {
+    assert.throws(() => Objects.Subscribe({}, () => {}), TypeError);
+    assert.throws(() => Objects.Undo({}), TypeError);
+});
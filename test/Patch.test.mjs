@@ -0,0 +1,134 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+test("updates attributes, style and text in place", () => {
+
+    const element = HTML.Create({tag: "div", attributes: {title: "a", "data-x": "1"}, style: {color: "red"}, text: "one"});
+    const text = element.firstChild;
+
+    assert.equal(HTML.Patch(element, {tag: "div", attributes: {title: "b"}, style: {marginTop: "2px"}, text: "two"}), element);
+    assert.equal(element.outerHTML, '<div title="b" style="margin-top: 2px;">two</div>');
+    assert.equal(element.firstChild, text);
+});
+
+test("replaces and disposes the element when the tag differs", () => {
+
+    const count = Signals.Signal(1);
+    const parent = HTML.Create({tag: "div", children: [{tag: "span", text: count}]});
+    const replacement = HTML.Patch(parent.firstChild, {tag: "b", text: "x"});
+
+    assert.equal(parent.innerHTML, "<b>x</b>");
+    assert.equal(replacement.localName, "b");
+
+    count.value = 2;
+
+    assert.equal(parent.innerHTML, "<b>x</b>");
+});
+
+test("matches keyed children by key and keeps their nodes", () => {
+
+    const list = HTML.Create({tag: "ul", children: ["a", "b", "c"].map((key) => ({tag: "li", key: key, text: key}))});
+    const [a, b, c] = list.children;
+
+    HTML.Patch(list, {tag: "ul", children: ["c", "a"].map((key) => ({tag: "li", key: key, text: key}))});
+
+    assert.deepEqual(Array.from(list.children), [c, a]);
+    assert.equal(b.isConnected, false);
+});
+
+test("renders signal children and keeps them reactive", () => {
+
+    const label = Signals.Signal("hi");
+    const element = HTML.Create({tag: "div"});
+
+    HTML.Patch(element, {tag: "div", children: [label]});
+    assert.equal(element.textContent, "hi");
+
+    label.value = "bye";
+    assert.equal(element.textContent, "bye");
+
+    // The same signal keeps its region on the next patch
+    HTML.Patch(element, {tag: "div", children: [{tag: "b", text: "x"}, label]});
+    label.value = "again";
+    assert.equal(element.innerHTML, "<b>x</b>again");
+
+    // Dropping the signal releases its binding
+    HTML.Patch(element, {tag: "div", children: [{tag: "b", text: "x"}]});
+    label.value = "gone";
+    assert.equal(element.innerHTML, "<b>x</b>");
+});
+
+test("patches signal text of nested descriptors", () => {
+
+    const text = Signals.Signal("a");
+    const element = HTML.Create({tag: "div", children: [{tag: "span", text: text}]});
+
+    HTML.Patch(element, {tag: "div", children: [{tag: "span", text: text}]});
+    text.value = "b";
+
+    assert.equal(element.innerHTML, "<span>b</span>");
+});
+
+test("binds signal attributes, style and properties instead of stringifying them", () => {
+
+    const title = Signals.Signal("a");
+    const color = Signals.Signal("red");
+    const value = Signals.Signal("v1");
+    const element = HTML.Create({tag: "input"});
+
+    HTML.Patch(element, {tag: "input", attributes: {title: title}, style: {color: color}, properties: {value: value}});
+    assert.equal(element.getAttribute("title"), "a");
+    assert.equal(element.style.color, "red");
+    assert.equal(element.value, "v1");
+
+    title.value = "b";
+    color.value = "blue";
+    value.value = "v2";
+    assert.equal(element.getAttribute("title"), "b");
+    assert.equal(element.style.color, "blue");
+    assert.equal(element.value, "v2");
+
+    // Replacing a signal with a plain value releases the binding
+    HTML.Patch(element, {tag: "input", attributes: {title: "fixed"}});
+    title.value = "c";
+    color.value = "green";
+    value.value = "v3";
+    assert.equal(element.getAttribute("title"), "fixed");
+    assert.equal(element.style.color, "");
+    assert.equal(element.value, "");
+});
+
+test("resets properties dropped from the descriptor", () => {
+
+    const element = HTML.Create({tag: "input", properties: {value: "typed", checked: true, custom: 1}});
+
+    HTML.Patch(element, {tag: "input", properties: {}});
+
+    assert.equal(element.value, "");
+    assert.equal(element.checked, false);
+    assert.equal("custom" in element, false);
+});
+
+test("calls the inlineModifier", () => {
+
+    const element = HTML.Create({tag: "div"});
+    let modified = null;
+
+    HTML.Patch(element, {tag: "div", inlineModifier: (el) => modified = el});
+
+    assert.equal(modified, element);
+});
+
+test("replaces changed event handlers", () => {
+
+    let calls = [];
+    const element = HTML.Create({tag: "button", events: {click: () => calls.push("a")}});
+
+    HTML.Patch(element, {tag: "button", events: {click: () => calls.push("b")}});
+    element.click();
+
+    assert.deepEqual(calls, ["b"]);
+});
@@ -0,0 +1,118 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Objects} from "../src/Objects.mjs";
+
+test("Get, Set, Has and Delete by path", () => {
+
+    const obj = {};
+
+    Objects.Set(obj, "a.b[2].c", 5);
+    Objects.Set(obj, ["x", "y.z"], 1);
+
+    assert.ok(Array.isArray(obj.a.b));
+    assert.equal(Objects.Get(obj, "a.b[2].c"), 5);
+    assert.equal(Objects.Get(obj, ["x", "y.z"]), 1);
+    assert.equal(Objects.Get(obj, "a.q.r", "default"), "default");
+    assert.equal(Objects.Has(obj, "a.b[2]"), true);
+    assert.equal(Objects.Has(obj, "a.b[1]"), false);
+
+    Objects.Set(obj, "a.b[0]", "first");
+
+    assert.equal(Objects.Delete(obj, "a.b[0]"), true);
+    assert.equal(obj.a.b.length, 2);
+    assert.equal(Objects.Delete(obj, "nope"), false);
+});
+
+test("Get and Has read getters and inherited properties", () => {
+
+    class User {
+        constructor(first, last) {
+            this.name = {first, last};
+        }
+        get fullName() {
+            return `${this.name.first} ${this.name.last}`;
+        }
+    }
+
+    const data = {user: new User("Ada", "Lovelace")};
+
+    assert.equal(Objects.Get(data, "user.fullName"), "Ada Lovelace");
+    assert.equal(Objects.Has(data, "user.fullName"), true);
+    assert.equal(Objects.Get({list: [1]}, "list.length"), 1);
+});
+
+test("Set rejects paths which reach a prototype", () => {
+
+    assert.throws(() => Objects.Set({}, "__proto__.polluted2", 1), /cannot be set/);
+    assert.throws(() => Objects.Set({}, "constructor.prototype.polluted2", 1), /cannot be set/);
+    assert.throws(() => Objects.Set({}, ["a", "__proto__"], 1), /cannot be set/);
+    assert.equal({}.polluted2, undefined);
+});
+
+test("Delete rejects paths which reach a prototype", () => {
+
+    Object.prototype.polluted4 = 1;
+
+    try {
+        assert.throws(() => Objects.Delete({}, "constructor.prototype.polluted4"), /cannot be deleted/);
+        assert.equal({}.polluted4, 1);
+    } finally {
+        delete Object.prototype.polluted4;
+    }
+});
+
+test("Set writes over inherited members rather than into them", () => {
+
+    const obj = {};
+
+    Objects.Set(obj, "toString.x", 1);
+
+    assert.deepEqual(obj.toString, {x: 1});
+    assert.equal(typeof Object.prototype.toString, "function");
+});
+
+test("Diff produces operations that ApplyPatch replays", () => {
+
+    const a = {name: "a", list: [1, 2, 3], nested: {k: 1, "s/l": 2}, gone: true};
+    const b = {name: "b", list: [1, 5], nested: {k: 1, "s/l": 3, n: {}}, added: [1]};
+    const operations = Objects.Diff(a, b);
+
+    assert.deepEqual(operations, [
+        {op: "remove", path: "/gone"},
+        {op: "replace", path: "/name", value: "b"},
+        {op: "replace", path: "/list/1", value: 5},
+        {op: "remove", path: "/list/2"},
+        {op: "replace", path: "/nested/s~1l", value: 3},
+        {op: "add", path: "/nested/n", value: {}},
+        {op: "add", path: "/added", value: [1]},
+    ]);
+    assert.deepEqual(Objects.ApplyPatch(Objects.DeepClone(a), operations), b);
+});
+
+test("ApplyPatch is atomic", () => {
+
+    const obj = {name: "b", list: [1, 5], nested: {k: 1}};
+    const before = Objects.DeepClone(obj);
+
+    assert.throws(() => Objects.ApplyPatch(obj, [
+        {op: "replace", path: "/name", value: "z"},
+        {op: "move", from: "/list/0", path: "/moved"},
+        {op: "copy", from: "/nested", path: "/c"},
+        {op: "test", path: "/name", value: "nope"},
+    ]), {message: 'JSON Patch operation 3 (test "/name") failed: test failed'});
+
+    assert.deepEqual(obj, before);
+});
+
+test("ApplyPatch supports the end of an array and replacing the root", () => {
+    assert.deepEqual(Objects.ApplyPatch({l: [1]}, [{op: "add", path: "/l/-", value: 2}, {op: "move", from: "/l/0", path: "/first"}, {op: "test", path: "/first", value: 1}]), {l: [2], first: 1});
+    assert.deepEqual(Objects.ApplyPatch({a: 1}, [{op: "replace", path: "", value: [1]}]), [1]);
+});
+
+test("ApplyPatch rejects keys which reach a prototype", () => {
+
+    const obj = {};
+
+    assert.throws(() => Objects.ApplyPatch(obj, [{op: "add", path: "/__proto__", value: {polluted3: 1}}]), /cannot be set/);
+    assert.equal(Object.getPrototypeOf(obj), Object.prototype);
+});
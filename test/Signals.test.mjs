@@ -0,0 +1,211 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Signals, Signal, Computed} from "../src/Signals.mjs";
+
+test("effects run immediately and again when a signal they read changes", () => {
+
+    const count = Signals.Signal(1);
+    let seen = [];
+
+    const stop = Signals.Effect(() => {
+        seen.push(count.value);
+    });
+
+    count.value = 2;
+    count.value = 2;
+    stop();
+    count.value = 3;
+
+    assert.deepEqual(seen, [1, 2]);
+});
+
+test("effect cleanups run before the next run and on disposal", () => {
+
+    const count = Signals.Signal(0);
+    let log = [];
+
+    const stop = Signals.Effect(() => {
+
+        const value = count.value;
+
+        log.push(`run ${value}`);
+
+        return () => log.push(`cleanup ${value}`);
+    });
+
+    count.value = 1;
+    stop();
+
+    assert.deepEqual(log, ["run 0", "cleanup 0", "run 1", "cleanup 1"]);
+});
+
+test("computed values are lazy and cached", () => {
+
+    const a = Signals.Signal(2);
+    let runs = 0;
+    const doubled = Signals.Computed(() => {
+        runs++;
+        return a.value * 2;
+    });
+
+    assert.equal(runs, 0);
+    assert.equal(doubled.value, 4);
+    assert.equal(doubled.value, 4);
+    assert.equal(runs, 1);
+
+    a.value = 3;
+
+    assert.equal(doubled.value, 6);
+    assert.equal(runs, 2);
+    assert.ok(doubled instanceof Computed && doubled instanceof Signal);
+    assert.throws(() => doubled.value = 1, TypeError);
+});
+
+test("batches run each invalidated effect once", () => {
+
+    const a = Signals.Signal(1);
+    const b = Signals.Signal(1);
+    let runs = 0;
+
+    Signals.Effect(() => {
+        runs++;
+        return a.value + b.value;
+    });
+
+    Signals.Batch(() => {
+        a.value = 2;
+        b.value = 2;
+    });
+
+    assert.equal(runs, 2);
+});
+
+test("untracked reads do not subscribe", () => {
+
+    const a = Signals.Signal(1);
+    let runs = 0;
+
+    Signals.Effect(() => {
+        runs++;
+        Signals.Untracked(() => a.value);
+    });
+
+    a.value = 2;
+
+    assert.equal(runs, 1);
+});
+
+test("Subscribe is called on changes only", () => {
+
+    const a = Signals.Signal("x");
+    let seen = [];
+    const unsubscribe = a.Subscribe((value) => seen.push(value));
+
+    a.Update((value) => `${value}y`);
+    unsubscribe();
+    a.value = "z";
+
+    assert.deepEqual(seen, ["xy"]);
+});
+
+test("a throwing effect does not stop the other queued effects", () => {
+
+    const a = Signals.Signal(0);
+    let ran = [];
+
+    Signals.Effect(() => {
+        if (a.value > 0) throw new Error("first");
+    });
+
+    Signals.Effect(() => {
+        ran.push(a.value);
+    });
+
+    assert.throws(() => a.value = 1, {message: "first"});
+    assert.deepEqual(ran, [0, 1]);
+
+    // The batch was closed, so later writes still flush
+    Signals.Effect(() => {
+        if (a.value > 1) throw new Error("third");
+    });
+
+    assert.throws(() => a.value = 2, AggregateError);
+    assert.deepEqual(ran, [0, 1, 2]);
+});
+
+test("IsSignal and Unwrap", () => {
+    assert.equal(Signals.IsSignal(Signals.Signal(1)), true);
+    assert.equal(Signals.IsSignal({value: 1}), false);
+    assert.equal(Signals.Unwrap(Signals.Signal(1)), 1);
+    assert.equal(Signals.Unwrap(1), 1);
+});
+
+test("an effect that keeps triggering itself throws instead of running forever", () => {
+
+    const count = Signals.Signal(0);
+    let runs = 0;
+
+    assert.throws(() => Signals.Effect(() => {
+        runs++;
+        count.value = count.value + 1;
+    }), /still being triggered after 100 passes/);
+
+    assert.ok(runs <= 102);
+
+    // Other effects settle normally afterwards
+    const other = Signals.Signal(1);
+    let seen = null;
+
+    Signals.Effect(() => seen = other.value);
+    other.value = 2;
+
+    assert.equal(seen, 2);
+});
+
+test("effects created by an effect are disposed before it runs again", () => {
+
+    const outer = Signals.Signal(0);
+    const inner = Signals.Signal(0);
+    const log = [];
+
+    const stop = Signals.Effect(() => {
+
+        const run = outer.value;
+
+        Signals.Effect(() => {
+            log.push(`inner ${run}:${inner.value}`);
+            return () => log.push(`cleanup ${run}`);
+        });
+    });
+
+    outer.value = 1;
+    inner.value = 1;
+
+    assert.deepEqual(log, ["inner 0:0", "cleanup 0", "inner 1:0", "cleanup 1", "inner 1:1"]);
+
+    stop();
+    inner.value = 2;
+
+    assert.deepEqual(log.slice(5), ["cleanup 1"]);
+});
+
+test("effects created inside Untracked are not owned", () => {
+
+    const outer = Signals.Signal(0);
+    const inner = Signals.Signal(0);
+    let runs = 0;
+    let stopInner = null;
+
+    const stop = Signals.Effect(() => {
+        if (outer.value === 0) {
+            stopInner = Signals.Untracked(() => Signals.Effect(() => (inner.value, runs++)));
+        }
+    });
+
+    outer.value = 1;
+    inner.value = 1;
+
+    assert.equal(runs, 2);
+    stop();
+    stopInner();
+});
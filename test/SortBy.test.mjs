@@ -0,0 +1,55 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {Objects} from "../src/Objects.mjs";
+
+const people = [{n: "bob", a: 30}, {n: "Álvaro", a: 25}, {n: "item 10", a: null}, {n: "item 2", a: 30}, {n: "alice", a: 25}];
+
+test("SortBy compares strings naturally and ignores accents and case", () => {
+    assert.deepEqual(Objects.SortBy(people, "n").map((p) => p.n), ["alice", "Álvaro", "bob", "item 2", "item 10"]);
+    assert.deepEqual(people[0].n, "bob");
+});
+
+test("SortBy accepts several keys, descending keys and key functions", () => {
+    assert.deepEqual(Objects.SortBy(people, ["-a", "n"]).map((p) => `${p.n}:${p.a}`), ["bob:30", "item 2:30", "alice:25", "Álvaro:25", "item 10:null"]);
+    assert.deepEqual(Objects.SortBy(people, [{key: (p) => p.a, direction: "asc"}]).map((p) => `${p.n}:${p.a}`), ["Álvaro:25", "alice:25", "bob:30", "item 2:30", "item 10:null"]);
+});
+
+test("SortObjectByProperty sorts entries by a property of their values", () => {
+
+    const obj = {x: {v: 3}, y: {v: 1}, z: {v: 2}};
+
+    assert.deepEqual(Objects.SortObjectByProperty(obj, "v"), [["y", {v: 1}], ["z", {v: 2}], ["x", {v: 3}]]);
+    assert.deepEqual(Objects.SortObjectByProperty(obj, "v", {direction: "desc"}).map((entry) => entry[0]), ["x", "z", "y"]);
+});
+
+test("Compare orders dates, NaN, strings and booleans", () => {
+    assert.equal(Objects.Compare(new Date(1), new Date(2)), -1);
+    assert.equal(Objects.Compare(NaN, 1), 1);
+    assert.equal(Objects.Compare("a", "B"), -1);
+    assert.equal(Objects.Compare(true, false), 1);
+});
+
+test("SortObjectByProperty compares a single property directly", () => {
+
+    class Item {
+        constructor(name) {
+            this.name = name;
+        }
+        get label() {
+            return this.name;
+        }
+    }
+
+    const items = {a: new Item("item 2"), b: new Item("B"), c: new Item("item 10"), d: new Item("a")};
+
+    // Plain < and > comparison, so upper case sorts first and digits are not compared numerically
+    assert.deepEqual(Objects.SortObjectByProperty(items, "label").map((entry) => entry[0]), ["b", "d", "c", "a"]);
+    assert.deepEqual(Objects.SortObjectByProperty({x: {"-v": 2}, y: {"-v": 1}}, "-v").map((entry) => entry[0]), ["y", "x"]);
+});
+
+test("SortObjectByProperty accepts an array of sort keys", () => {
+
+    const obj = {x: {g: 1, n: "item 10"}, y: {g: 1, n: "item 2"}, z: {g: 2, n: "a"}};
+
+    assert.deepEqual(Objects.SortObjectByProperty(obj, ["-g", "n"]).map((entry) => entry[0]), ["z", "y", "x"]);
+});
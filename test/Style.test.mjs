@@ -0,0 +1,40 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+test("StyleRuleToObject respects parentheses, quotes, escapes, comments and priority", () => {
+
+    const style = HTML.StyleRuleToObject(`background: url(data:image/png;base64,AA==) no-repeat; font-family: 'a;b', "c:d"; /* x; y: z */ color: red ! important; --My-Var: {a:b}; content: "\\";"; margin : 0`);
+
+    assert.deepEqual(style, {
+        "background": "url(data:image/png;base64,AA==) no-repeat",
+        "font-family": `'a;b', "c:d"`,
+        "color": "red !important",
+        "--My-Var": "{a:b}",
+        "content": '"\\";"',
+        "margin": "0",
+    });
+
+    assert.deepEqual(HTML.StyleRuleToObject(HTML.ObjectToStyleRule(style)), style);
+});
+
+test("Create, SetStyle and Patch accept camelCase and custom property keys", () => {
+
+    const element = HTML.Create({tag: "div", attributes: {style: "color: red"}, style: {backgroundColor: "blue", WebkitTransform: "none", "--x": "1"}});
+
+    assert.equal(element.getAttribute("style"), "color: red; background-color: blue; -webkit-transform: none; --x: 1;");
+
+    HTML.SetStyle(element, {backgroundColor: "green", color: null});
+    assert.equal(element.style.backgroundColor, "green");
+    assert.equal(element.style.color, "");
+
+    HTML.Patch(element, {tag: "div", style: {color: "red !important", fontSize: "2px"}});
+    assert.equal(element.getAttribute("style"), "color: red !important; font-size: 2px;");
+});
+
+test("ToCssPropertyName", () => {
+    assert.equal(HTML.ToCssPropertyName("backgroundColor"), "background-color");
+    assert.equal(HTML.ToCssPropertyName("WebkitTransform"), "-webkit-transform");
+    assert.equal(HTML.ToCssPropertyName("--myVar"), "--myVar");
+});
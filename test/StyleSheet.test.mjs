@@ -0,0 +1,69 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+test("generates scoped class names and nested rules", () => {
+
+    const {classes, keyframes, cssText} = HTML.CreateStyleSheet({
+        button: {backgroundColor: "red", animation: "spin 1s linear", "&:hover, &:focus": {color: "blue"}, "span": {margin: 0}, "@media (max-width: 600px)": {padding: "2px"}, "$card &": {color: "green"}},
+        card: {padding: "1em"},
+        "@keyframes spin": {from: {transform: "rotate(0)"}, to: {transform: "rotate(360deg)"}},
+        "@supports (display: grid)": {card: {display: "grid"}},
+    }, {scope: "x", install: false});
+
+    const button = `.${classes.button}`;
+    const card = `.${classes.card}`;
+
+    assert.deepEqual(Object.keys(classes), ["button", "card"]);
+    assert.match(classes.button, /^x-button-/);
+    assert.match(keyframes.spin, /^x-spin-/);
+    assert.ok(cssText.includes(`${button} { background-color: red; animation: ${keyframes.spin} 1s linear; }`));
+    assert.ok(cssText.includes(`${button}:hover, ${button}:focus { color: blue; }`));
+    assert.ok(cssText.includes(`${button} span { margin: 0; }`));
+    assert.ok(cssText.includes(`@media (max-width: 600px) { ${button} { padding: 2px; } }`));
+    assert.ok(cssText.includes(`${card} ${button} { color: green; }`));
+    assert.ok(cssText.includes(`@supports (display: grid) { ${card} { display: grid; } }`));
+    assert.ok(cssText.includes(`@keyframes ${keyframes.spin} { from { transform: rotate(0); } to { transform: rotate(360deg); } }`));
+});
+
+test("a top-level @font-face holds declarations rather than class keys", () => {
+
+    const {classes, cssText} = HTML.CreateStyleSheet({
+        "@font-face": {fontFamily: "Mine", src: "url(mine.woff2)"},
+        "@layer base": {text: {color: "red"}},
+    }, {install: false});
+
+    assert.deepEqual(Object.keys(classes), ["text"]);
+    assert.ok(cssText.includes("@font-face { font-family: Mine; src: url(mine.woff2); }"));
+    assert.ok(cssText.includes(`@layer base { .${classes.text} { color: red; } }`));
+});
+
+test("installs into the document and removes again", () => {
+
+    const before = document.adoptedStyleSheets?.length ?? document.head.children.length;
+    const sheet = HTML.CreateStyleSheet({a: {color: "red"}});
+
+    assert.notEqual(document.adoptedStyleSheets?.length ?? document.head.children.length, before);
+
+    sheet.Remove();
+
+    assert.equal(document.adoptedStyleSheets?.length ?? document.head.children.length, before);
+});
+
+test("nested selectors are split on top-level commas only", () => {
+
+    const {classes, cssText} = HTML.CreateStyleSheet({
+        list: {
+            ":is(a, b) span, &:where(.x, .y)": {color: "red"},
+            '[data-label="a, b"], & > li': {margin: 0},
+            "&:not(.c, .d)": {"em, strong": {padding: 0}},
+        },
+    }, {scope: "x", install: false});
+
+    const list = `.${classes.list}`;
+
+    assert.ok(cssText.includes(`${list} :is(a, b) span, ${list}:where(.x, .y) { color: red; }`));
+    assert.ok(cssText.includes(`${list} [data-label="a, b"], ${list} > li { margin: 0; }`));
+    assert.ok(cssText.includes(`${list}:not(.c, .d) em, ${list}:not(.c, .d) strong { padding: 0; }`));
+});
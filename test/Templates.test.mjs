@@ -0,0 +1,82 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+const render = (nodes) => {
+
+    const host = document.createElement("div");
+
+    host.append(...nodes);
+
+    return host.innerHTML;
+};
+
+test("interpolates paths in text, attributes and style", () => {
+    assert.equal(
+        render(HTML.FromTemplate({h1: {attributes: {title: "Hi {{user.name}}", style: {color: "{{color}}"}}, text: "Hello, {{ user.name }}!"}}, {user: {name: "Ann"}, color: "red"})),
+        '<h1 title="Hi Ann" style="color: red">Hello, Ann!</h1>'
+    );
+});
+
+test("renders if blocks and each blocks with @index", () => {
+
+    const template = [
+        {if: "user.admin", then: {b: "admin"}, else: {i: "guest"}},
+        {ul: {children: [{each: "items", as: "item", template: {li: {attributes: {"data-i": "{{@index}}"}, text: "{{item.label}}"}}}]}},
+    ];
+
+    assert.equal(render(HTML.FromTemplate(template, {user: {admin: false}, items: [{label: "a"}, {label: "b"}]})), '<i>guest</i><ul><li data-i="0">a</li><li data-i="1">b</li></ul>');
+    assert.equal(render(HTML.FromTemplate(template, {user: {admin: true}, items: []})), "<b>admin</b><ul></ul>");
+});
+
+test("a placeholder on its own is replaced by the raw value", () => {
+
+    let clicks = 0;
+    const [button] = HTML.FromTemplate({button: {events: {click: "{{onClick}}"}, text: "go"}}, {onClick: () => clicks++});
+
+    button.click();
+
+    assert.equal(clicks, 1);
+});
+
+test("compiled templates can be rendered many times without modifying the template", () => {
+
+    const template = {p: {text: "{{n}}"}};
+    const compiled = HTML.CompileTemplate(template);
+
+    assert.equal(render(compiled({n: 1})), "<p>1</p>");
+    assert.equal(render(compiled({n: 2})), "<p>2</p>");
+    assert.deepEqual(template, {p: {text: "{{n}}"}});
+});
+
+test("applies the substitution dictionary", () => {
+    assert.equal(render(HTML.FromTemplate({p: "$SUB"}, {}, {"$SUB": "substituted"})), "<p>substituted</p>");
+});
+
+test("objects in data are not substituted as descriptors unless allowed", () => {
+
+    const data = {bio: {img: {attributes: {src: "x", onerror: "alert(1)"}}}, attrs: {onclick: "alert(1)"}};
+
+    assert.throws(() => HTML.FromTemplate({div: "{{bio}}"}, data), TypeError);
+    assert.throws(() => HTML.FromTemplate({div: {attributes: "{{attrs}}"}}, data), TypeError);
+    assert.throws(() => HTML.FromTemplate({div: {children: "{{list}}"}}, {list: [{tag: "b"}]}), TypeError);
+
+    // Placeholders within text are always rendered as text
+    assert.equal(render(HTML.FromTemplate({div: "bio: {{bio}}"}, data)), "<div>bio: [object Object]</div>");
+
+    assert.equal(render(HTML.FromTemplate({div: "{{bio}}"}, data, null, {allowDescriptors: true})), '<div><img src="x" onerror="alert(1)"></div>');
+    assert.equal(render(HTML.CompileTemplate({div: "{{bio}}"}, {allowDescriptors: true})({bio: {b: "trusted"}})), "<div><b>trusted</b></div>");
+});
+
+test("nodes and signals from data are substituted as they are", () => {
+
+    const strong = HTML.Create({tag: "strong", text: "node"});
+    const text = Signals.Signal("a");
+    const [div] = HTML.FromTemplate({div: {children: ["{{strong}}", {span: {text: "{{text}}"}}]}}, {strong, text});
+
+    text.value = "b";
+
+    assert.equal(div.outerHTML, "<div><strong>node</strong><span>b</span></div>");
+});
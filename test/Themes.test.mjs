@@ -0,0 +1,102 @@
+import {window, Tick} from "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+// jsdom has no matchMedia, so the color-scheme query is simulated
+const scheme = {
+    dark: false,
+    listeners: new Set(),
+    Change(dark) {
+        this.dark = dark;
+        this.listeners.forEach((listener) => listener());
+    },
+};
+
+window.matchMedia = (query) => ({
+    get matches() {
+        return query.includes("dark") && scheme.dark;
+    },
+    addEventListener: (type, listener) => scheme.listeners.add(listener),
+    removeEventListener: (type, listener) => scheme.listeners.delete(listener),
+});
+
+HTML.RegisterTheme("light", {color: {text: "black"}});
+HTML.RegisterTheme("dark", {color: {text: "white"}, extra: "1"});
+
+test("sets, reads and removes CSS variables", () => {
+
+    const element = HTML.Create({tag: "div"});
+
+    document.body.append(element);
+    HTML.SetCssVariable("--gap", "4px", element);
+
+    assert.equal(HTML.GetCssVariable("--gap", element), "4px");
+
+    HTML.RemoveCssVariable("--gap", element);
+
+    assert.equal(HTML.GetCssVariable("--gap", element), "");
+    element.remove();
+});
+
+test("ApplyTheme flattens tokens and removes variables of the previous theme", () => {
+
+    const element = HTML.Create({tag: "div"});
+
+    assert.deepEqual(HTML.ApplyTheme({color: {primary: "#00f", text: {muted: "gray"}}, size: 2}, element), {"--color-primary": "#00f", "--color-text-muted": "gray", "--size": "2"});
+
+    HTML.ApplyTheme({size: 3}, element);
+
+    assert.equal(element.getAttribute("style"), "--size: 3;");
+});
+
+test("SetTheme applies registered themes and rejects unknown ones", () => {
+
+    const element = HTML.Create({tag: "div"});
+
+    HTML.SetTheme("dark", element);
+
+    assert.equal(HTML.GetTheme(element), "dark");
+    assert.equal(element.style.getPropertyValue("--color-text"), "white");
+    assert.throws(() => HTML.SetTheme("missing", element), /has not been registered/);
+});
+
+test("SetTheme(\"auto\") keeps following the color scheme", () => {
+
+    const element = HTML.Create({tag: "div"});
+
+    HTML.SetTheme("auto", element);
+    assert.equal(element.style.getPropertyValue("--color-text"), "black");
+
+    scheme.Change(true);
+    assert.equal(element.style.getPropertyValue("--color-text"), "white");
+    assert.equal(HTML.GetTheme(element), "auto");
+    assert.equal(scheme.listeners.size, 1);
+
+    scheme.Change(false);
+    assert.equal(element.style.getPropertyValue("--color-text"), "black");
+    assert.equal(element.style.getPropertyValue("--extra"), "");
+
+    // Choosing a theme stops following
+    HTML.SetTheme("light", element);
+    assert.equal(scheme.listeners.size, 0);
+});
+
+test("WatchCssVariable reports changes of the computed value", async () => {
+
+    const element = HTML.Create({tag: "div"});
+    let changes = [];
+
+    document.body.append(element);
+
+    const stop = HTML.WatchCssVariable("--accent", (value, oldValue) => changes.push([value, oldValue]), element);
+
+    HTML.SetCssVariable("--accent", "red", element);
+    await Tick();
+    stop();
+    HTML.SetCssVariable("--accent", "blue", element);
+    await Tick();
+
+    assert.deepEqual(changes, [["red", ""]]);
+    element.remove();
+});
@@ -0,0 +1,30 @@
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+test("renders attributes, style, text and children without a DOM", () => {
+    assert.equal(
+        HTML.ToHtmlString({tag: "p", attributes: {class: "a", title: 'say "hi"'}, style: {marginTop: "1px"}, text: "x < y", children: [{tag: "br"}, "z"]}),
+        '<p class="a" title="say &quot;hi&quot;" style="margin-top: 1px;">x &lt; y<br>z</p>'
+    );
+});
+
+test("renders the current value of signals and omits false attributes", () => {
+    assert.equal(HTML.ToHtmlString({tag: "input", attributes: {disabled: Signals.Signal(false), value: Signals.Signal("v")}}), '<input value="v">');
+});
+
+test("drops attribute names which could break out of the tag", () => {
+    assert.equal(HTML.ToHtmlString({tag: "div", attributes: {"a onclick=x": "1", b: "2"}}), '<div b="2"></div>');
+});
+
+test("throws on a tag name which could inject markup", () => {
+    assert.throws(() => HTML.ToHtmlString({tag: "img src=x onerror=alert(1)"}), TypeError);
+    assert.throws(() => HTML.ToHtmlString({tag: "div><script"}), TypeError);
+});
+
+test("streams the same markup in chunks", () => {
+    const descriptor = [{tag: "ul", children: [{tag: "li", text: "1"}, {tag: "li", text: "2"}]}, "tail"];
+
+    assert.equal(Array.from(HTML.ToHtmlStream(descriptor)).join(""), HTML.ToHtmlString(descriptor));
+});
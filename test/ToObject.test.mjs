@@ -0,0 +1,35 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+document.body.innerHTML = `<div id="x" class="a b" style="color: red; margin: 0;" data-k="1">
+  Hello <b>bold <i>it</i></b><input type="text" value="v"> tail</div>`;
+
+const element = document.body.firstElementChild;
+
+test("converts an element into a descriptor", () => {
+    assert.deepEqual(HTML.ToObject(element), {
+        tag: "div",
+        attributes: {id: "x", class: "a b", "data-k": "1"},
+        style: {color: "red", margin: "0"},
+        children: ["\n  Hello ", {tag: "b", children: ["bold ", {tag: "i", children: ["it"]}]}, {tag: "input", attributes: {type: "text", value: "v"}}, " tail"],
+    });
+});
+
+test("round-trips through Create and FromObject", () => {
+
+    const created = HTML.Create(HTML.ToObject(element));
+
+    assert.ok(created.isEqualNode(element));
+    assert.equal(HTML.FromObject(HTML.ToObject(element))[0].outerHTML, created.outerHTML);
+});
+
+test("drops whitespace, excludes attributes and limits depth", () => {
+    assert.deepEqual(HTML.ToObject(element, {dropWhitespace: true, excludeAttributes: ["data-*", "id"], maxDepth: 1}), {
+        tag: "div",
+        attributes: {class: "a b"},
+        style: {color: "red", margin: "0"},
+        children: ["\n  Hello ", {tag: "b"}, {tag: "input", attributes: {type: "text", value: "v"}}, " tail"],
+    });
+});
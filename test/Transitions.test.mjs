@@ -0,0 +1,183 @@
+import {window, Tick} from "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+// jsdom implements neither animations nor media queries, so both are simulated
+const animations = [];
+
+class FakeAnimation {
+    constructor(element, keyframes, options) {
+        Object.assign(this, {element, keyframes, options});
+        this.finished = new Promise((resolve, reject) => Object.assign(this, {resolve, reject}));
+        this.finished.catch(() => {});
+    }
+    cancel() {
+        this.cancelled = true;
+        this.reject(new Error("cancelled"));
+    }
+    finish() {
+        this.resolve(this);
+    }
+}
+
+window.Element.prototype.animate = function (keyframes, options) {
+
+    const animation = new FakeAnimation(this, keyframes, options);
+
+    animations.push(animation);
+
+    return animation;
+};
+
+let reducedMotion = false;
+
+window.matchMedia = (query) => ({matches: reducedMotion && query.includes("reduce"), addEventListener() {}, removeEventListener() {}});
+
+const ids = (parent) => [...parent.children].map((child) => child.id);
+
+test("Animate plays between two styles and commits the final one", async () => {
+
+    const element = HTML.Create({tag: "div"});
+
+    document.body.append(element);
+
+    const first = HTML.Animate(element, {opacity: 0, "background-color": "red"}, {opacity: "1 !important"}, {duration: 100});
+
+    assert.deepEqual(animations.at(-1).keyframes, [{opacity: "0", backgroundColor: "red"}, {opacity: "1"}]);
+    assert.equal(animations.at(-1).options.duration, 100);
+
+    // A new animation cancels the one in progress
+    const second = HTML.Animate(element, null, {"float": "left"});
+
+    assert.equal(await first, false);
+
+    animations.at(-1).finish();
+
+    assert.equal(await second, true);
+    assert.equal(element.style.cssFloat, "left");
+    element.remove();
+});
+
+test("Animate jumps to the final style when reduced motion is preferred", async () => {
+
+    const element = HTML.Create({tag: "div"});
+    const count = animations.length;
+
+    reducedMotion = true;
+
+    try {
+        assert.equal(await HTML.Animate(element, {opacity: 0}, {opacity: 0.5}), true);
+    } finally {
+        reducedMotion = false;
+    }
+
+    assert.equal(element.style.opacity, "0.5");
+    assert.equal(animations.length, count);
+});
+
+test("Patch plays enter and leave transitions, keeping leaving children until they finish", async () => {
+
+    const list = HTML.Create({tag: "ul"});
+    const item = (key) => ({tag: "li", key: key, attributes: {id: `li${key}`}, enter: {from: {opacity: 0}, to: {opacity: 1}}, leave: {to: {opacity: 0}, duration: 50}});
+
+    document.body.append(list);
+    HTML.Patch(list, {tag: "ul", children: [item(1), item(2), item(3)]});
+    await Tick();
+
+    assert.deepEqual(animations.slice(-3).map((animation) => animation.element.id), ["li1", "li2", "li3"]);
+
+    HTML.Patch(list, {tag: "ul", children: [item(1), item(3)]});
+
+    // A leaving child stays in the list, after those that are kept
+    assert.deepEqual(ids(list), ["li1", "li3", "li2"]);
+    assert.equal(animations.at(-1).element.id, "li2");
+
+    HTML.Patch(list, {tag: "ul", children: [item(3), item(1)]});
+
+    assert.deepEqual(ids(list), ["li3", "li1", "li2"]);
+
+    animations.at(-1).finish();
+    await Tick();
+
+    assert.deepEqual(ids(list), ["li3", "li1"]);
+    list.remove();
+});
+
+test("Remove removes an element without a leave transition at once", async () => {
+
+    const element = HTML.Create({tag: "p"});
+
+    document.body.append(element);
+    await HTML.Remove(element);
+
+    assert.equal(element.isConnected, false);
+    assert.deepEqual(HTML.Validate({tag: "div", enter: 3}).errors, ["enter is not a transition of the form {from, to, duration, easing, delay}"]);
+});
+
+test("children removed by Patch and by VirtualList row reuse are disposed", async () => {
+
+    const label = Signals.Signal("a");
+    const list = HTML.Create({tag: "ul", children: [{tag: "li", key: 1, text: label}]});
+    const [removed] = list.children;
+
+    HTML.Patch(list, {tag: "ul", children: [{tag: "li", key: 2}]});
+    label.value = "b";
+
+    assert.equal(removed.textContent, "a");
+
+    const container = document.createElement("div");
+    const labels = Array.from({length: 100}, (_, i) => Signals.Signal(`${i}`));
+    let scrollTop = 0;
+
+    window.requestAnimationFrame = (callback) => setTimeout(callback, 0);
+    Object.defineProperty(container, "clientHeight", {value: 40});
+    Object.defineProperty(container, "scrollTop", {get: () => scrollTop, set: (value) => scrollTop = value});
+    document.body.append(container);
+
+    HTML.VirtualList(container, {items: labels, itemTemplate: (text, index) => ({tag: "p", key: index, text: text}), estimateSize: 20, overscan: 0});
+
+    const first = container.querySelector("p");
+
+    scrollTop = 1000;
+    container.dispatchEvent(new Event("scroll"));
+    await Tick();
+    labels[0].value = "changed";
+
+    assert.equal(first.isConnected, false);
+    assert.equal(first.textContent, "0");
+    HTML.Dispose(container);
+});
+
+test("Flip plays moved elements back from their old positions", async () => {
+
+    const list = HTML.Create({tag: "ul", children: [{tag: "li", attributes: {id: "a"}}, {tag: "li", attributes: {id: "b"}}]});
+    let positions = {a: 0, b: 20};
+
+    for (const child of list.children) {
+        child.getBoundingClientRect = () => ({left: 0, top: positions[child.id]});
+    }
+
+    document.body.append(list);
+
+    const flip = HTML.Flip(list, () => {
+        positions = {a: 20, b: 0};
+        list.append(list.firstElementChild);
+    });
+
+    await Tick();
+
+    const played = animations.slice(-2).sort((x, y) => x.element.id.localeCompare(y.element.id));
+
+    assert.deepEqual(played.map((animation) => [animation.element.id, animation.keyframes[0].transform, animation.options.fill]), [
+        ["a", "translate(0px, -20px)", "backwards"],
+        ["b", "translate(0px, 20px)", "backwards"],
+    ]);
+
+    played.forEach((animation) => animation.finish());
+    await flip;
+
+    assert.deepEqual(ids(list), ["b", "a"]);
+    list.remove();
+});
\ No newline at end of file
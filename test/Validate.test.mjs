@@ -0,0 +1,46 @@
+import "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+const descriptor = {tag: "div", foo: 1, attributes: {id: {}, n: 5, "bad name": "x", style: {color: {}}}, properties: {innerHTML: "<b>"}, children: [{tag: "a"}, "text", {tag: "1x"}, {tag: "b", events: {click: "nope", over: {handler: () => {}, selector: 5}}}]};
+
+test("reports every error and warning with its path", () => {
+    assert.deepEqual(HTML.Validate(descriptor, {safe: true}), {
+        valid: false,
+        errors: [
+            "foo is not a recognized descriptor key",
+            "attributes.id is not a string",
+            "attributes.bad name is not a valid attribute name",
+            "attributes.style.color is not a string or number",
+            'children[2].tag is not a valid tag name: "1x"',
+            "children[3].events.click is not a function",
+            "children[3].events.over.selector is not a string",
+        ],
+        warnings: [
+            "attributes.n is a number and will be converted to a string",
+            "properties.innerHTML parses HTML and may allow script injection",
+        ],
+    });
+});
+
+test("strict mode throws a TypeError listing the errors", () => {
+    assert.throws(() => HTML.Create(descriptor, {strict: true}), (error) => error instanceof TypeError && error.cause.length === 7);
+    assert.throws(() => HTML.FromObject([{tag: "p"}, {x: 1}, null], {strict: true}), {message: "Invalid descriptor:\n[1].x is not a recognized descriptor key\n[1].tag is missing\n[2] is not a descriptor object"});
+});
+
+test("strict mode passes warnings to onWarning rather than the console", (context) => {
+
+    const warn = context.mock.method(console, "warn");
+    let warnings = [];
+
+    HTML.Create({tag: "div", attributes: {n: 5}, properties: {innerHTML: "<b>"}}, {strict: true, safe: true, onWarning: (warning) => warnings.push(warning)});
+    HTML.FromObject({tag: "div", attributes: {n: 5}}, {strict: true});
+
+    assert.deepEqual(warnings, ["attributes.n is a number and will be converted to a string", "properties.innerHTML parses HTML and may allow script injection"]);
+    assert.equal(warn.mock.callCount(), 0);
+});
+
+test("without strict, FromObject skips objects without a tag", () => {
+    assert.equal(HTML.FromObject([{tag: "p", children: null}, null, {tag: "i", children: []}]).length, 2);
+});
@@ -0,0 +1,120 @@
+import {window, Tick} from "./dom.mjs";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+
+// jsdom does no layout, so resizes are reported by hand and the viewport is given a fixed height
+let resize = null;
+
+window.ResizeObserver = class {
+    constructor(callback) {
+        resize = callback;
+    }
+    observe() {}
+    unobserve() {}
+    disconnect() {
+        resize = null;
+    }
+};
+window.requestAnimationFrame = (callback) => setTimeout(callback, 0);
+
+const items = Array.from({length: 50000}, (_, i) => ({id: i, label: `Row ${i}`}));
+
+function CreateContainer() {
+
+    const container = document.createElement("div");
+    let scrollTop = 0;
+
+    Object.defineProperty(container, "clientHeight", {value: 200});
+    Object.defineProperty(container, "scrollTop", {get: () => scrollTop, set: (value) => scrollTop = value});
+    document.body.append(container);
+
+    return container;
+}
+
+const Shown = (container) => [...container.firstChild.children]
+    .filter((row) => !row.hidden)
+    .map((row) => `${row.textContent}@${row.style.top}`)
+    .sort((a, b) => parseFloat(a.split("@")[1]) - parseFloat(b.split("@")[1]));
+
+async function Scroll(container, top) {
+    container.scrollTop = top;
+    container.dispatchEvent(new Event("scroll"));
+    await Tick();
+}
+
+test("renders only the visible rows plus overscan, reusing row elements", async () => {
+
+    const container = CreateContainer();
+    let created = 0;
+
+    HTML.VirtualList(container, {items, itemTemplate: (item) => (created++, {tag: "p", text: item.label}), estimateSize: 20, overscan: 2});
+
+    assert.equal(container.firstChild.style.height, "1000000px");
+    assert.equal(Shown(container).length, 13);
+    assert.deepEqual(Shown(container).slice(0, 2), ["Row 0@0px", "Row 1@20px"]);
+
+    const rows = new Set(container.firstChild.children);
+
+    await Scroll(container, 1000);
+
+    assert.deepEqual(Shown(container).slice(0, 2), ["Row 48@960px", "Row 49@980px"]);
+    assert.equal(container.firstChild.children.length, 15);
+    assert.ok([...rows].every((row) => row.parentNode === container.firstChild));
+
+    HTML.Dispose(container);
+
+    assert.equal(container.children.length, 0);
+    assert.equal(resize, null);
+    assert.ok(created < 40);
+});
+
+test("measured rows move the rows below them and keep the scroll position anchored", async () => {
+
+    const container = CreateContainer();
+
+    HTML.VirtualList(container, {items, itemTemplate: (item) => ({tag: "p", text: item.label}), estimateSize: 20, overscan: 2});
+    await Scroll(container, 1000);
+
+    const row = [...container.firstChild.children].find((element) => element.textContent === "Row 48");
+
+    resize([{target: row, borderBoxSize: [{blockSize: 60}]}]);
+
+    assert.equal(container.scrollTop, 1040);
+
+    await Tick();
+
+    assert.deepEqual(Shown(container).slice(0, 3), ["Row 48@960px", "Row 49@1020px", "Row 50@1040px"]);
+    assert.equal(container.firstChild.style.height, "1000040px");
+    HTML.Dispose(container);
+});
+
+test("ScrollToIndex, SetItems and getKey", async () => {
+
+    const container = CreateContainer();
+    const list = HTML.VirtualList(container, {items, itemTemplate: (item) => ({tag: "p", text: item.label}), estimateSize: 20, overscan: 2, getKey: (item) => item.id});
+
+    list.ScrollToIndex(40000, {align: "start"});
+
+    assert.equal(container.scrollTop, 800000);
+
+    // A row already in view is not scrolled to again
+    list.ScrollToIndex(40001);
+
+    assert.equal(container.scrollTop, 800000);
+
+    await Tick();
+    list.SetItems(items.map((item) => item.id === 40001 ? {...item, label: "changed"} : item));
+
+    assert.ok(Shown(container).includes("changed@800020px"));
+
+    list.SetItems([{id: 0, label: "only"}]);
+
+    assert.deepEqual(Shown(container), ["only@0px"]);
+    assert.equal(container.firstChild.style.height, "20px");
+    HTML.Dispose(container);
+});
+
+test("requires an itemTemplate", () => {
+    assert.throws(() => HTML.VirtualList(CreateContainer(), {items}), TypeError);
+});
@@ -0,0 +1,122 @@
+import {JSDOM} from "jsdom";
+import {test} from "node:test";
+import assert from "node:assert/strict";
+import {HTML} from "../src/HTML.mjs";
+import {Signals} from "../src/Signals.mjs";
+
+// No global document is defined in this file, so anything that falls back to it throws
+const dom = new JSDOM("<!doctype html><html><head></head><body><p id=\"a\">hi</p></body></html>", {pretendToBeVisual: true});
+const doc = dom.window.document;
+const H = HTML.WithDocument(doc);
+
+const Tick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const scheme = {
+    dark: false,
+    listeners: new Set(),
+    Change(dark) {
+        this.dark = dark;
+        this.listeners.forEach((listener) => listener());
+    },
+};
+
+dom.window.matchMedia = (query) => ({
+    get matches() {
+        return query.includes("dark") && scheme.dark;
+    },
+    addEventListener: (type, listener) => scheme.listeners.add(listener),
+    removeEventListener: (type, listener) => scheme.listeners.delete(listener),
+});
+
+test("methods of the HTML class itself require a document", () => {
+    assert.throws(() => HTML.Create({tag: "div"}), /No document is available/);
+    assert.throws(() => HTML.WithDocument({}), TypeError);
+});
+
+test("creates, binds and patches nodes in the given document", () => {
+
+    const text = Signals.Signal("one");
+    let clicks = 0;
+    const element = H.Create({tag: "div", attributes: {id: "x"}, children: [{tag: "span", text: text}], events: {click: () => clicks++}});
+
+    doc.body.append(element);
+
+    assert.equal(element.ownerDocument, doc);
+    assert.equal(element.outerHTML, "<div id=\"x\"><span>one</span></div>");
+
+    text.value = "two";
+    element.dispatchEvent(new dom.window.Event("click"));
+
+    assert.equal(element.outerHTML, "<div id=\"x\"><span>two</span></div>");
+    assert.equal(clicks, 1);
+
+    H.Patch(element, {tag: "div", children: ["text", {tag: "b"}]});
+
+    assert.equal(element.outerHTML, "<div>text<b></b></div>");
+    assert.deepEqual(H.FromHtml("<i>a</i><script>x</script>", {sanitize: true}).map((node) => node.outerHTML), ["<i>a</i>"]);
+    assert.equal(H.ToObject(doc.getElementById("a")).tag, "p");
+    element.remove();
+});
+
+test("defines components in the document's window", async () => {
+
+    H.DefineComponent("with-document-counter", {props: {n: {type: Number, default: 1}}, render: (props) => ({tag: "b", text: `${props.n}`})});
+
+    const component = doc.createElement("with-document-counter");
+
+    doc.body.append(component);
+    component.n = 2;
+    await Tick();
+
+    assert.ok(component instanceof dom.window.HTMLElement);
+    assert.equal((component.shadowRoot ?? component).innerHTML.includes("<b>2</b>"), true);
+    component.remove();
+});
+
+test("WatchCssVariable keeps using the document after the call returns", async () => {
+
+    const changes = [];
+    const stop = H.WatchCssVariable("--accent", (value, oldValue) => changes.push([value, oldValue]));
+
+    H.SetCssVariable("--accent", "red");
+    await Tick();
+
+    doc.documentElement.style.setProperty("--accent", "blue");
+    await Tick();
+    stop();
+
+    assert.equal(H.GetCssVariable("--accent"), "blue");
+    assert.deepEqual(changes, [["red", ""], ["blue", "red"]]);
+    H.RemoveCssVariable("--accent");
+});
+
+test("SetTheme(\"auto\") keeps following the color scheme in the document", () => {
+
+    H.RegisterTheme("light", {color: {text: "black"}});
+    H.RegisterTheme("dark", {color: {text: "white"}});
+    H.SetTheme("auto");
+
+    const style = doc.documentElement.style;
+
+    assert.equal(style.getPropertyValue("--color-text"), "black");
+
+    scheme.Change(true);
+    assert.equal(style.getPropertyValue("--color-text"), "white");
+    assert.equal(H.GetTheme(), "auto");
+
+    H.SetTheme("light");
+    assert.equal(scheme.listeners.size, 0);
+    assert.equal(style.getPropertyValue("--color-text"), "black");
+});
+
+test("an explicit target needs no document", () => {
+
+    const element = doc.createElement("div");
+
+    HTML.SetCssVariable("--gap", "4px", element);
+    HTML.SetTheme("dark", element);
+
+    assert.equal(element.style.getPropertyValue("--gap"), "4px");
+    assert.equal(HTML.GetTheme(element), "dark");
+    assert.equal(element.style.getPropertyValue("--color-text"), "white");
+});
@@ -0,0 +1,15 @@
+import {JSDOM} from "jsdom";
+
+// HTML.mjs resolves its window through the document, so only the document and a few constructors used directly by tests are made global
+const dom = new JSDOM("<!doctype html><html><head></head><body></body></html>", {pretendToBeVisual: true, url: "https://example.com/"});
+
+export const window = dom.window;
+
+for (const name of ["document", "Node", "Element", "HTMLElement", "Event", "KeyboardEvent", "MouseEvent"]) {
+    globalThis[name] = window[name];
+}
+
+// Lets MutationObserver callbacks and other queued work run
+export function Tick(ms = 0) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}